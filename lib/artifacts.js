@@ -0,0 +1,40 @@
+import path from 'path'
+
+/**
+ * bring an artifact into the form { name, path }, artifacts may be given as
+ * a path or as an object with a path and an optional name
+ *
+ * @param {String|Object} artifact
+ * @return {Object}                  undefined if the artifact has no path
+ */
+export function normalizeArtifact (artifact) {
+    if (typeof artifact === 'string') {
+        artifact = { path: artifact }
+    }
+
+    if (!artifact || typeof artifact.path !== 'string' || !artifact.path) {
+        return undefined
+    }
+
+    return {
+        name: artifact.name || path.basename(artifact.path),
+        path: path.resolve(artifact.path)
+    }
+}
+
+/**
+ * returns the path of an artifact relative to the working directory or as a file:// link
+ *
+ * @param {String} file     absolute path of the artifact
+ * @param {Boolean} link    print a file:// link instead of a relative path
+ * @param {String} cwd
+ * @return {String}
+ */
+export function formatArtifactPath (file, link = false, cwd = process.cwd()) {
+    if (link) {
+        const urlPath = file.split(path.sep).join('/')
+        return 'file://' + encodeURI((urlPath.indexOf('/') === 0) ? urlPath : `/${urlPath}`)
+    }
+
+    return path.relative(cwd, file) || '.'
+}
@@ -0,0 +1,34 @@
+/**
+ * describe the browser or device of a runner
+ *
+ * @param {Object} caps       capabilities of the runner
+ * @param {Boolean} verbose   verbose form for headings (eg. `chrome (v50) on Windows 8.1`) or short
+ *                            form for prefixes (eg. `chrome 50 Windows 8.1`)
+ * @return {String}
+ */
+export function getBrowserCombo (caps, verbose = true) {
+    const device = caps.deviceName
+    const browser = caps.browserName || caps.browser
+    const version = caps.version || caps.platformVersion || caps.browser_version
+    const platform = caps.os ? (caps.os + ' ' + caps.os_version) : (caps.platform || caps.platformName)
+
+    /**
+     * mobile capabilities
+     */
+    if (device) {
+        const program = (caps.app || '').replace('sauce-storage:', '') || caps.browserName
+        const executing = program ? `executing ${program}` : ''
+
+        if (!verbose) {
+            return `${device} ${platform} ${version}`
+        }
+
+        return `${device} on ${platform} ${version} ${executing}`.trim()
+    }
+
+    if (!verbose) {
+        return (browser + ' ' + (version || '') + ' ' + (platform || '')).trim()
+    }
+
+    return browser + (version ? ` (v${version})` : '') + (platform ? ` on ${platform}` : '')
+}
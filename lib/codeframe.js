@@ -0,0 +1,158 @@
+import fs from 'fs'
+import path from 'path'
+import { SourceMapConsumer } from 'source-map'
+
+import { STACKTRACE_FILTER, toRegExps } from './stacktrace'
+
+const FRAME_WITH_FUNCTION = /^\s*at .*\((.+):(\d+):(\d+)\)$/
+const FRAME_WITHOUT_FUNCTION = /^\s*at (.+):(\d+):(\d+)$/
+const SOURCE_MAPPING_URL = /\/\/[#@] sourceMappingURL=(\S+)\s*$/
+
+const sourceMaps = {}
+
+/**
+ * extract file, line and column of a stack frame
+ *
+ * @param {String} line  line of a stack trace
+ * @return {Object}      undefined if the line is no frame with a location
+ */
+export function parseFrame (line) {
+    const match = line.match(FRAME_WITH_FUNCTION) || line.match(FRAME_WITHOUT_FUNCTION)
+
+    if (!match) {
+        return
+    }
+
+    return {
+        file: match[1].replace(/^file:\/\//, ''),
+        line: parseInt(match[2], 10),
+        column: parseInt(match[3], 10)
+    }
+}
+
+/**
+ * find the first frame which is not filtered and points to an existing file inside of the project
+ *
+ * @param {String} stack
+ * @param {Object} options  root of the project (defaults to cwd) and exclude patterns
+ * @return {Object}         undefined if there is no such frame
+ */
+export function findUserFrame (stack, options = {}) {
+    const root = path.resolve(options.root || process.cwd())
+    const exclude = [STACKTRACE_FILTER].concat(toRegExps(options.exclude))
+    const lines = stack.split('\n')
+
+    for (const line of lines) {
+        const frame = parseFrame(line)
+
+        if (!frame || exclude.some((pattern) => pattern.test(line))) {
+            continue
+        }
+
+        const file = path.resolve(frame.file)
+
+        if (file.indexOf(root + path.sep) === 0 && fs.existsSync(file)) {
+            return Object.assign(frame, { file })
+        }
+    }
+}
+
+function readSourceMap (file, content) {
+    if (!(file in sourceMaps)) {
+        const match = content.match(SOURCE_MAPPING_URL)
+        let map
+
+        if (match) {
+            const url = match[1]
+            const inline = url.match(/^data:application\/json;(?:charset=[\w-]+;)?base64,(.+)$/)
+
+            if (inline) {
+                map = Buffer.from(inline[1], 'base64').toString('utf8')
+            } else if (fs.existsSync(path.resolve(path.dirname(file), url))) {
+                map = fs.readFileSync(path.resolve(path.dirname(file), url), 'utf8')
+            }
+        }
+
+        sourceMaps[file] = (map) ? new SourceMapConsumer(JSON.parse(map)) : undefined
+    }
+
+    return sourceMaps[file]
+}
+
+/**
+ * map a frame of compiled code to its original source if the file has a source map
+ *
+ * @param {Object} frame  file, line and column of the frame
+ * @return {Object}       file, line, column and source content of the (original) location
+ */
+export function getOriginalLocation (frame) {
+    const source = fs.readFileSync(frame.file, 'utf8')
+    const consumer = readSourceMap(frame.file, source)
+
+    if (consumer) {
+        const position = consumer.originalPositionFor({ line: frame.line, column: frame.column - 1 })
+
+        if (position.source) {
+            const file = path.resolve(path.dirname(frame.file), position.source.replace(/^file:\/\//, ''))
+            let originalSource = consumer.sourceContentFor(position.source, true)
+
+            if (!originalSource && fs.existsSync(file)) {
+                originalSource = fs.readFileSync(file, 'utf8')
+            }
+
+            if (originalSource) {
+                return {
+                    file,
+                    line: position.line,
+                    column: position.column + 1,
+                    source: originalSource
+                }
+            }
+        }
+    }
+
+    return Object.assign({ source }, frame)
+}
+
+/**
+ * read the source code surrounding the first user frame of a stack
+ *
+ * @param {String} stack
+ * @param {Object} options  contextLines (defaults to 2) as well as the options of findUserFrame
+ * @return {Object}         file, line, column and the excerpt lines (number, text, marked),
+ *                          undefined if no source could be found
+ */
+export function getCodeFrame (stack, options = {}) {
+    const contextLines = (typeof options.contextLines === 'number') ? options.contextLines : 2
+
+    try {
+        const frame = findUserFrame(stack, options)
+
+        if (!frame) {
+            return
+        }
+
+        const location = getOriginalLocation(frame)
+        const sourceLines = location.source.split(/\r?\n/)
+        const first = Math.max(location.line - contextLines, 1)
+        const last = Math.min(location.line + contextLines, sourceLines.length)
+        const lines = []
+
+        for (let number = first; number <= last; number++) {
+            lines.push({
+                number,
+                text: sourceLines[number - 1],
+                marked: number === location.line
+            })
+        }
+
+        return {
+            file: location.file,
+            line: location.line,
+            column: location.column,
+            lines
+        }
+    } catch (e) {
+        // never let a broken source (map) hide the actual failure
+    }
+}
@@ -0,0 +1,1224 @@
+import humanizeDuration from 'humanize-duration'
+import path from 'path'
+
+import { formatArtifactPath } from './artifacts'
+import { getBrowserCombo } from './capabilities'
+import { getCodeFrame } from './codeframe'
+import { getDiff, hasDiff } from './diff'
+import { groupFailures } from './failures'
+import Formatter from './formatter'
+import { getHookType } from './hooks'
+import { inspectArg } from './inspect'
+import { formatLabel, resolveLocale } from './locales'
+import { buildBrowserMatrix, renderTable } from './matrix'
+import OutputLog from './outputlog'
+import ProgressLine from './progress'
+import { CHANGES } from './snapshot'
+import { filterStack } from './stacktrace'
+import { resolveTheme, shouldUseColors } from './themes'
+
+const DURATION_OPTIONS = {
+    units: ['m', 's'],
+    round: true,
+    spacer: ''
+}
+
+const STEP_DURATION_OPTIONS = {
+    units: ['m', 's', 'ms'],
+    round: true,
+    spacer: ''
+}
+
+const STEP_INDENT_WIDTH = 2
+
+const STEP_INDENT_OFFSET = 1
+
+const ATTEMPT_OUTCOME_LABELS = {
+    pass: 'passed',
+    fail: 'failed',
+    broken: 'broken'
+}
+
+const SEPARATOR = '------------------------------------------------------------------\n'
+
+const SECTION_SEPARATOR = '==================================================================\n'
+
+/**
+ * The default formatter, which prints the models passed by the reporter to the
+ * console, colored by the theme and translated to the locale of the reporter options.
+ *
+ * Other formatters can extend it to reuse or change parts of the console output.
+ */
+class ConsoleFormatter extends Formatter {
+    constructor (config = {}, baseReporter) {
+        super(config, baseReporter)
+
+        this.theme = resolveTheme(this.config.theme)
+        this.useColors = shouldUseColors(this.config.colors)
+        this.locale = resolveLocale(this.config.locale)
+        this.resultListMode = this.config.resultList || 'full'
+        this.stepFilter = this.config.stepFilter || {}
+
+        const durations = this.locale.durations
+
+        this.durationHumanizer = humanizeDuration.humanizer({
+            language: 'short',
+            languages: { short: {
+                h: () => durations.h,
+                m: () => durations.m,
+                s: () => durations.s,
+                ms: () => durations.ms,
+                decimal: this.locale.decimal
+            }}
+        })
+
+        this.phase = undefined
+        this.errorCount = 0
+        this.failureCount = 0
+        this.runners = {}
+        this.stepBuffers = {}
+        this.instantBuffers = {}
+        this.failureGroups = {
+            testcases: [],
+            specs: []
+        }
+
+        if (this.config.outputDir) {
+            this.outputLog = new OutputLog(this.config.outputDir)
+        }
+
+        if (this.shouldShowProgress()) {
+            this.progressLine = new ProgressLine(process.stdout)
+        }
+    }
+
+    logsTestcases () {
+        return this.config.consoleLogLevel === 'testcases' || this.config.consoleLogLevel === 'steps'
+    }
+
+    /**
+     * failures are numbered per phase
+     */
+    setPhase (phase) {
+        if (phase !== this.phase) {
+            this.phase = phase
+            this.errorCount = 0
+            this.failureCount = 0
+        }
+    }
+
+    onRunnerInit (runner) {
+        this.setPhase(runner.phase)
+        this.runners[runner.cid] = runner
+
+        if (this.config.reportResultsInstantly) {
+            this.printRunnerInfo(runner)
+        }
+    }
+
+    onRunnerStart (runner) {
+        this.setPhase(runner.phase)
+        this.runners[runner.cid] = runner
+
+        if (this.outputLog) {
+            this.outputLog.addRunner(runner.phase, runner.cid, runner.specs)
+        }
+
+        if (runner.phase === 'specs' && this.config.reportResultsInstantly) {
+            this.printRunnerInfo(runner)
+        }
+    }
+
+    onSuiteStart (suite) {
+        if (this.config.reportResultsInstantly) {
+            this.printSuiteTitle(suite)
+        }
+    }
+
+    onTestcaseStart (testcase) {
+        if (this.logsTestcases()) {
+            this.printTestcaseTitle(testcase)
+        }
+
+        if (!testcase.retry && this.config.consoleLogLevel === 'steps' && this.stepFilter.onlyFailedTestcases) {
+            this.stepBuffers[testcase.cid] = []
+        }
+    }
+
+    onStepStart (step) {
+        this.printStepStart(step)
+    }
+
+    onStepEnd (step) {
+        this.printStepEnd(step)
+    }
+
+    onTestEnd (test) {
+        this.flushStepOutput(test.cid, this.isFailedState(test.state) || test.state === 'hook')
+
+        if (this.config.reportResultsInstantly) {
+            this.printTest(test)
+        }
+    }
+
+    onError (failure) {
+        if (this.config.reportErrorsInstantly) {
+            const color = (failure.kind === 'broken') ? 'bright yellow' : 'error message'
+            this.instantReportError(failure.error, color, failure.cid)
+        }
+    }
+
+    onSuiteEnd (suite) {
+        if (this.logsTestcases() && suite.phase === 'testcases') {
+            this.logConsole('', suite.cid)
+        }
+
+        if (suite.depth === 0) {
+            this.flushInstantOutput(suite.cid)
+        }
+    }
+
+    onProgress (progress) {
+        this.progress = progress
+
+        if (!this.progressLine) {
+            return
+        }
+
+        this.renderProgress()
+
+        /**
+         * keep the elapsed time up to date between events
+         */
+        if (!this.progressTimer) {
+            this.progressTimer = setInterval(() => this.renderProgress(), 1000)
+            this.progressTimer.unref()
+        }
+    }
+
+    onRunnerEnd (runner) {
+        this.runners[runner.cid] = runner
+
+        this.clearProgress()
+        this.flushInstantOutput(runner.cid)
+        this.printSuiteResult(runner)
+    }
+
+    onEnd (run) {
+        this.stopProgress()
+        this.printSlowestSteps(run.slowestSteps)
+        this.printFlakyTestcases(run.flakyTestcases)
+        this.printTraceability(run.traceability)
+        this.printBrowserMatrix(run)
+        this.printGroupedFailures(run)
+        this.printSuitesSummary(run)
+        this.printFailureGroupsSummary()
+        this.printChangesSinceLastRun(run.changesSinceLastRun)
+    }
+
+    /**
+     * returns a label of the configured locale
+     *
+     * @param {String} key
+     * @param {Object} values  values of the label's placeholders
+     * @return {String}
+     */
+    label (key, values) {
+        return formatLabel(this.locale.labels[key], values)
+    }
+
+    getPhase (phase = this.phase) {
+        if (phase === 'specs') {
+            return `[${this.label('specPhase')}] `
+        } else {
+            return `[${this.label('testcasePhase')}] `
+        }
+    }
+
+    indent (depth) {
+        return depth === 0 ? '' : Array(depth).join('    ')
+    }
+
+    stepIndent (depth, inline = 0) {
+        const indents = STEP_INDENT_OFFSET + inline + depth * STEP_INDENT_WIDTH
+        return indents === 0 ? '' : Array(indents).join(' ')
+    }
+
+    isFailedState (state) {
+        return state === 'fail' || state === 'broken'
+    }
+
+    getSymbol (state) {
+        /**
+         * grouped failures are not listed per test, so there is no failure number to refer to
+         */
+        if (this.config.groupFailures) {
+            return this.getMatrixSymbol(state)
+        }
+
+        const symbols = Object.assign({
+            pass: this.baseReporter.symbols.ok,
+            pending: '-'
+        }, this.theme.symbols)
+        let symbol = '?' // in case of an unknown state
+
+        switch (state) {
+        case 'pass':
+            symbol = symbols.pass
+            break
+        case 'pending':
+            symbol = symbols.pending
+            break
+        case 'hook':
+            this.errorCount++
+            symbol = (symbols.hook || '⚠ {n})').replace('{n}', this.errorCount)
+            break
+        default:
+            this.errorCount++
+            symbol = (symbols[state] || '{n})').replace('{n}', this.errorCount)
+            break
+        }
+
+        return symbol
+    }
+
+    /**
+     * returns the symbol of a state without a failure number
+     */
+    getMatrixSymbol (state) {
+        const symbols = Object.assign({
+            pass: this.baseReporter.symbols.ok,
+            pending: '-',
+            fail: this.baseReporter.symbols.err,
+            broken: '!',
+            unvalidated: '?',
+            hook: '⚠'
+        }, this.theme.symbols)
+
+        return (symbols[state] || '?').replace(/\s*\{n\}\)?/, '')
+    }
+
+    getColor (state) {
+        let color = null // in case of an unknown state
+
+        switch (state) {
+        case 'pass':
+        case 'passing':
+            color = this.theme.colors.pass || 'green'
+            break
+        case 'pending':
+            color = 'pending'
+            break
+        case 'fail':
+        case 'failing':
+            color = 'fail'
+            break
+        case 'unvalidated':
+            color = 'unvalidated'
+            break
+        case 'broken':
+            color = 'broken'
+            break
+        case 'hook':
+        case 'hooks':
+            color = this.theme.colors.hook || 'bright yellow'
+            break
+        }
+
+        return color
+    }
+
+    /**
+     * colors a string using the theme, either by one of the base reporter's color names
+     * or by an ansi code, or returns it unchanged if colors are disabled
+     */
+    color (type, str) {
+        if (!this.useColors) {
+            return String(str)
+        }
+
+        const color = (type in this.theme.colors) ? this.theme.colors[type] : type
+
+        if (typeof color === 'number') {
+            return `\u001b[${color}m${str}\u001b[0m`
+        }
+
+        return this.baseReporter.color(color, str)
+    }
+
+    /**
+     * the cid and short browser combo of a runner
+     */
+    getRunnerLabel (cid) {
+        const runner = this.runners[cid]
+        return (runner && runner.capabilities) ? `${cid} ${getBrowserCombo(runner.capabilities, false)}` : cid
+    }
+
+    getRunnerTag (cid) {
+        const runner = this.runners[cid]
+        const combo = (runner && runner.capabilities) ? ' ' + getBrowserCombo(runner.capabilities, false) : ''
+
+        return `[${cid}${combo}]`
+    }
+
+    /**
+     * print output of the reporter and add it to the log files of outputDir
+     *
+     * @param {String} output
+     * @param {String} cid     runner the output belongs to, if any
+     */
+    log (output, cid) {
+        this.baseReporter.log(output)
+        this.writeOutputLog(output, cid)
+    }
+
+    /**
+     * print the step trace of consoleLogLevel directly to the console, or tagged with
+     * or buffered per runner like other instant output if instantOutputMode is set
+     */
+    logConsole (output, cid) {
+        if (this.config.instantOutputMode && cid) {
+            this.logInstantOutput(cid, output)
+            return
+        }
+
+        console.log(output)
+        this.writeOutputLog(output, cid)
+    }
+
+    writeOutputLog (output, cid) {
+        if (this.outputLog) {
+            this.outputLog.write(output, cid)
+        }
+    }
+
+    /**
+     * depending on instantOutputMode, instantly reported lines of parallel runners are either
+     * tagged with their runner or buffered until the runner's top level suite has finished
+     */
+    logInstantOutput (cid, output) {
+        switch (this.config.instantOutputMode) {
+        case 'prefix':
+            this.log(output.split('\n').map((line) => `${this.getRunnerTag(cid)} ${line}`).join('\n'), cid)
+            break
+        case 'buffer':
+            this.instantBuffers[cid] = (this.instantBuffers[cid] || []).concat(output)
+            break
+        default:
+            this.log(output, cid)
+        }
+    }
+
+    flushInstantOutput (cid) {
+        const buffer = this.instantBuffers[cid]
+
+        if (buffer && buffer.length > 0) {
+            this.log(buffer.join('\n'), cid)
+        }
+
+        delete this.instantBuffers[cid]
+    }
+
+    /**
+     * print a line of step output, or hold it back until the testcase is finished
+     * if only the steps of failing testcases are shown
+     */
+    logStepOutput (cid, line) {
+        if (this.stepBuffers[cid]) {
+            this.stepBuffers[cid].push(line)
+        } else {
+            this.logConsole(line, cid)
+        }
+    }
+
+    flushStepOutput (cid, failed) {
+        const lines = this.stepBuffers[cid]
+
+        if (lines) {
+            delete this.stepBuffers[cid]
+
+            if (failed) {
+                lines.forEach((line) => this.logConsole(line, cid))
+            }
+        }
+    }
+
+    printRunnerInfo (runner) {
+        let output = '\n' + SEPARATOR
+
+        if (runner.sessionID) {
+            output += this.getPhase(runner.phase) + `${this.label('sessionId')}: ${runner.sessionID}\n`
+        }
+
+        if (runner.phase === 'specs') {
+            output += this.getPhase(runner.phase) + `${this.label('specFile')}: ${runner.specs}\n`
+        } else {
+            output += this.getPhase(runner.phase) + `${this.label('testcaseFile')}: ${runner.specs}\n`
+            output += this.getPhase(runner.phase) + `${this.label('running')}: ${runner.browser}`
+        }
+
+        this.logInstantOutput(runner.cid, output)
+    }
+
+    printSuiteTitle (suite) {
+        let output = this.getPhase(suite.phase)
+        output += '\n'
+        output += this.getPhase(suite.phase)
+        output += this.indent(suite.depth)
+        output += suite.title
+
+        this.logInstantOutput(suite.cid, output)
+    }
+
+    printTestcaseTitle (testcase) {
+        const retryStr = (testcase.retry) ? ` (${this.label('retry')} ${testcase.retry})` : ''
+
+        let output = `${this.label('testcase')}: "${testcase.id}"...${retryStr}`
+
+        if (this.config.consoleLogLevel === 'steps') {
+            output = '\n' + output
+        }
+
+        this.logStepOutput(testcase.cid, this.color('log testcase', output))
+    }
+
+    printStepStart (step) {
+        this.logStepOutput(step.cid, `${this.stepIndent(step.depth)}${this.label('step')}: "${step.description}"`)
+
+        if (step.arg && Object.keys(step.arg).length > 0) {
+            const argLines = inspectArg(step.arg, Object.assign({
+                labels: { moreCharacters: this.label('moreCharacters'), moreLines: this.label('moreLines') }
+            }, this.config.stepArgs)).map(line => this.stepIndent(step.depth) + line)
+
+            argLines.forEach(line => this.logStepOutput(step.cid, this.color('error stack', line)))
+        }
+    }
+
+    printStepEnd (step) {
+        const durationStr = this.durationHumanizer(step.duration, STEP_DURATION_OPTIONS)
+        this.logStepOutput(step.cid, this.color('error stack', `${this.stepIndent(step.depth)}${this.label('done')}: "${step.description}" (${durationStr})`))
+    }
+
+    printTest (test) {
+        let output = this.getPhase(test.phase)
+
+        output += '   ' + this.indent(test.depth)
+        output += this.color(this.getColor(test.state), this.getSymbol(test.state))
+        output += ' '
+        output += test.title
+        output += this.getDurationLabel(test.duration)
+
+        this.logInstantOutput(test.cid, output)
+    }
+
+    instantReportError (err, errMessageColor, cid) {
+        let output = ''
+
+        err = this.cleanStack(err)
+
+        const message = String(err.message || '').trim().split(/\n/g).map((l) => `${this.color(errMessageColor, l)}`).join('\n')
+        output += `\n${message}\n`
+        output += this.getErrorDiff(err)
+
+        if (err.stack) {
+            const stack = err.stack.split(/\n/g).map((l) => `${this.color('error stack', l)}`).join('\n')
+            output += `${stack}\n`
+        }
+
+        output += '\n'
+
+        this.logInstantOutput(cid, output)
+    }
+
+    shouldShowProgress (stream = process.stdout) {
+        const logLevel = this.config.consoleLogLevel
+
+        return this.config.progress !== false && Boolean(stream.isTTY) &&
+            !this.config.reportResultsInstantly && !this.config.reportErrorsInstantly &&
+            logLevel !== 'testcases' && logLevel !== 'steps'
+    }
+
+    /**
+     * a summary of the running phase for the live status line
+     */
+    getProgressStatus (progress) {
+        const counts = progress.counts
+        const states = Object.keys(counts)
+            .filter((state) => state === 'passing' || counts[state] > 0)
+            .map((state) => `${counts[state]} ${this.label(state)}`)
+            .join(', ')
+        const elapsed = this.durationHumanizer(Date.now() - new Date(progress.start).getTime(), DURATION_OPTIONS)
+
+        return [
+            this.getPhase(progress.phase) + this.label('progress', { running: progress.running, finished: progress.finished }),
+            states,
+            progress.testcase,
+            elapsed
+        ].filter((part) => part).join(' | ')
+    }
+
+    renderProgress () {
+        this.progressLine.render(this.getProgressStatus(this.progress))
+    }
+
+    clearProgress () {
+        if (this.progressLine) {
+            this.progressLine.clear()
+        }
+    }
+
+    stopProgress () {
+        if (this.progressTimer) {
+            clearInterval(this.progressTimer)
+            this.progressTimer = undefined
+        }
+
+        this.clearProgress()
+    }
+
+    /**
+     * Lists the tests of all suites of a runner. Depending on the resultList option,
+     * suites without failing, broken, unvalidated or skipped tests are left out ('failures')
+     * or nothing is listed at all ('collapsed').
+     *
+     * Failed "before all" hooks are listed as a line of their own.
+     */
+    getResultList (runner, preface = '') {
+        let output = ''
+        let hiddenTests = 0
+
+        if (this.resultListMode === 'collapsed') {
+            return output
+        }
+
+        runner.failedHooks.forEach((hook) => {
+            output += `${preface}   ${this.indent(hook.depth)}${this.color(this.getColor('hook'), this.getSymbol('hook'))} ${hook.title}\n`
+            output += preface.trim() + '\n'
+        })
+
+        runner.suites.forEach((suite) => {
+            const indent = this.indent(suite.depth)
+
+            if (this.resultListMode === 'failures' && suite.tests.every((test) => test.state === 'pass')) {
+                hiddenTests += suite.tests.length
+                return
+            }
+
+            output += `${preface} ${indent}${suite.title}\n`
+
+            suite.tests.forEach((test) => {
+                const state = (getHookType(test.title) && this.isFailedState(test.state)) ? 'hook' : test.state
+
+                output += preface
+                output += '   ' + indent
+                output += this.color(this.getColor(state), this.getSymbol(state))
+                output += ' ' + test.title
+                output += this.getDurationLabel(test.duration) + '\n'
+            })
+
+            output += preface.trim() + '\n'
+        })
+
+        if (hiddenTests > 0) {
+            const label = this.label((hiddenTests === 1) ? 'passingTestHidden' : 'passingTestsHidden', { count: hiddenTests })
+            output += `${preface} ${this.color('light', label)}\n`
+        }
+
+        return output
+    }
+
+    getSummary (states, duration, preface = '') {
+        let output = ''
+        let displayedDuration = false
+
+        for (const state in states) {
+            const testCount = states[state]
+            let testDuration = ''
+
+            /**
+             * don't display 0 passing/pending/broken/unvalidated/failing test labels...
+             */
+            if (testCount === 0) {
+                continue
+            }
+
+            /**
+             * set duration
+             */
+            if (!displayedDuration) {
+                testDuration = ' (' + this.durationHumanizer(duration, DURATION_OPTIONS) + ')'
+            }
+
+            const printedState = this.label(state)
+
+            output += preface + ' '
+            output += this.color(this.getColor(state), testCount)
+            output += ' ' + this.color(this.getColor(state), printedState)
+            output += testDuration
+            output += '\n'
+            displayedDuration = true
+        }
+
+        return output
+    }
+
+    /**
+     * returns the colored duration of a test if it exceeds the slow test threshold
+     */
+    getDurationLabel (duration) {
+        if (!this.config.slowTestThreshold || !duration || duration < this.config.slowTestThreshold) {
+            return ''
+        }
+
+        const durationStr = this.durationHumanizer(duration, DURATION_OPTIONS)
+
+        return ' ' + this.color(this.getDurationColor(duration), `(${durationStr})`)
+    }
+
+    /**
+     * tests above the very slow threshold (twice the slow threshold by default) are colored differently
+     */
+    getDurationColor (duration) {
+        const slow = this.config.slowTestThreshold
+        const verySlow = this.config.verySlowTestThreshold || slow * 2
+
+        if (slow && duration >= verySlow) {
+            return 'slow'
+        } else if (slow && duration >= slow) {
+            return 'medium'
+        }
+
+        return 'light'
+    }
+
+    getSlowestTests (suites, preface = '') {
+        const count = this.config.slowestTestsCount
+        let tests = []
+
+        if (!count) {
+            return ''
+        }
+
+        suites.forEach((suite) => {
+            suite.tests.forEach((test) => {
+                if (test.state !== 'pending' && test.duration > 0) {
+                    tests.push({
+                        title: `${suite.title} ${test.title}`,
+                        duration: test.duration
+                    })
+                }
+            })
+        })
+
+        if (tests.length === 0) {
+            return ''
+        }
+
+        tests = tests.sort((a, b) => b.duration - a.duration).slice(0, count)
+
+        let output = `${preface}\n`
+        output += `${preface} ${this.label('slowestTests')}:\n`
+
+        tests.forEach((test) => {
+            const duration = this.durationHumanizer(test.duration, DURATION_OPTIONS)
+            output += `${preface}   ${this.color(this.getDurationColor(test.duration), duration)} ${test.title}\n`
+        })
+
+        return output
+    }
+
+    getFailureList (failures) {
+        let output = ''
+
+        failures.forEach((failure) => {
+            const title = this.getFailureTitle(failure)
+            output += `\n`
+            output += this.color('error title', `${(++this.failureCount)}) ${title.trim()}:`) + '\n\n'
+
+            failure.errors.forEach((err) => {
+                output += this.getErrorOutput(err, failure.state === 'unvalidated')
+            })
+
+            output += this.getArtifactList(failure.artifacts)
+        })
+
+        return output
+    }
+
+    /**
+     * failures of hooks are titled with the hook type and the suite they belong to
+     */
+    getFailureTitle (failure) {
+        const hook = failure.hook
+
+        if (!hook) {
+            return failure.title
+        }
+
+        const suite = String(hook.suite || '').trim()
+        const label = (suite) ? this.label('hookFailureInSuite', { hook: hook.type, suite }) : this.label('hookFailure', { hook: hook.type })
+
+        return `${label} › ${hook.title}`
+    }
+
+    getArtifactList (artifacts = []) {
+        if (artifacts.length === 0) {
+            return ''
+        }
+
+        let output = `${this.label('artifacts')}:\n`
+
+        artifacts.forEach((artifact) => {
+            output += `- ${artifact.name}: ` + this.color('light', formatArtifactPath(artifact.path, this.config.artifactLinks)) + '\n'
+        })
+
+        return output + '\n'
+    }
+
+    getErrorOutput (err, unvalidated) {
+        const codeFrame = this.getCodeFrame(err)
+        let output = ''
+
+        err = this.cleanStack(err)
+
+        let errMessageColor = typeof err.matcherName === 'undefined' && err.stack ? 'bright yellow' : 'error message'
+
+        if (unvalidated) {
+            errMessageColor = 'unvalidated'
+        }
+
+        const message = String(err.message || '').trim().split(/\n/g).map((l) => `${this.color(errMessageColor, l)}`).join('\n')
+        output += `${message}\n`
+        output += this.getErrorDiff(err)
+        output += codeFrame
+
+        if (err.stack) {
+            const stack = err.stack.split(/\n/g).map((l) => `${this.color('error stack', l)}`).join('\n')
+            output += `${stack}\n`
+        }
+
+        return output + '\n'
+    }
+
+    /**
+     * returns a copy of the error with a filtered stack if cleanStackTraces is enabled
+     */
+    cleanStack (error) {
+        if (!this.config.cleanStackTraces || !error.stack) {
+            return error
+        }
+
+        const options = Object.assign({
+            labels: { moreFrames: this.label('moreFrames') }
+        }, (typeof this.config.cleanStackTraces === 'object') ? this.config.cleanStackTraces : {})
+
+        return Object.assign({}, error, {
+            message: error.message,
+            stack: filterStack(error.stack, options)
+        })
+    }
+
+    /**
+     * renders the source code surrounding the first project frame of an error if codeFrames is enabled
+     */
+    getCodeFrame (err) {
+        if (!this.config.codeFrames || !err || !err.stack) {
+            return ''
+        }
+
+        const options = Object.assign(
+            {},
+            (typeof this.config.cleanStackTraces === 'object') ? { exclude: this.config.cleanStackTraces.exclude } : {},
+            (typeof this.config.codeFrames === 'object') ? this.config.codeFrames : {}
+        )
+        const frame = getCodeFrame(err.stack, options)
+
+        if (!frame) {
+            return ''
+        }
+
+        const width = String(frame.lines[frame.lines.length - 1].number).length
+        let output = '\n' + this.color('error stack', `${path.relative(process.cwd(), frame.file)}:${frame.line}:${frame.column}`) + '\n'
+
+        frame.lines.forEach((line) => {
+            const number = ' '.repeat(width - String(line.number).length) + line.number
+
+            if (line.marked) {
+                const caret = line.text.slice(0, frame.column - 1).replace(/[^\t]/g, ' ') + '^'
+
+                output += this.color('error message', `> ${number} |`) + ` ${line.text}\n`
+                output += this.color('error message', `  ${' '.repeat(width)} | ${caret}`) + '\n'
+            } else {
+                output += this.color('error stack', `  ${number} | ${line.text}`) + '\n'
+            }
+        })
+
+        return output + '\n'
+    }
+
+    /**
+     * renders the difference between the expected and actual value of an error if errorDiffs is enabled
+     */
+    getErrorDiff (err) {
+        if (!this.config.errorDiffs || !hasDiff(err)) {
+            return ''
+        }
+
+        const mode = (typeof this.config.errorDiffs === 'object') ? this.config.errorDiffs.mode : undefined
+        const diff = getDiff(err.expected, err.actual, mode)
+        const getChangeColor = (change) => {
+            if (change.added) {
+                return 'diff added'
+            } else if (change.removed) {
+                return 'diff removed'
+            }
+        }
+
+        let output = '\n' + this.color('diff added', `+ ${this.label('expected')}`) + ' ' + this.color('diff removed', `- ${this.label('actual')}`) + '\n\n'
+
+        if (diff.mode === 'inline') {
+            output += diff.changes.map((change) => {
+                const color = getChangeColor(change)
+
+                if (!color) {
+                    return change.value
+                }
+
+                /**
+                 * without colors, inline changes need to be marked
+                 */
+                const value = (this.useColors) ? change.value : `[${(change.added) ? '+' : '-'}${change.value}]`
+                return this.color(color, value)
+            }).join('') + '\n'
+        } else {
+            diff.changes.forEach((change) => {
+                const color = getChangeColor(change) || 'error stack'
+                const prefix = (change.added) ? '+' : (change.removed) ? '-' : ' '
+
+                change.value.replace(/\n$/, '').split('\n').forEach((line) => {
+                    output += this.color(color, prefix + line) + '\n'
+                })
+            })
+        }
+
+        return output + '\n'
+    }
+
+    getJobLink (url, preface) {
+        if (!url) {
+            return ''
+        }
+
+        let output = ''
+        output += `${preface.trim()}\n`
+        output += `${preface} ${this.label('jobLink')} ${url}\n`
+        return output
+    }
+
+    getSuiteResult (runner) {
+        const preface = this.getPhase(runner.phase)
+
+        /**
+         * don't print anything if no specs where executed
+         */
+        if (runner.suites.length === 0 && runner.failedHooks.length === 0) {
+            return ''
+        }
+
+        let output = ''
+
+        output += SEPARATOR
+
+        if (runner.sessionID) {
+            output += `${preface} ${this.label('sessionId')}: ${runner.sessionID}\n`
+        }
+
+        if (runner.phase === 'specs') {
+            output += `${preface} ${this.label('specFile')}: ${runner.specs}\n`
+        } else {
+            output += `${preface} ${this.label('testcaseFile')}: ${runner.specs}\n`
+            output += `${preface} ${this.label('running')}: ${runner.browser}\n`
+        }
+
+        if (this.resultListMode !== 'collapsed') {
+            output += `${preface}\n`
+            output += this.getResultList(runner, preface)
+        }
+
+        output += `${preface}\n`
+        output += this.getSummary(runner.counts, runner.duration, preface)
+
+        if (this.resultListMode !== 'collapsed') {
+            output += this.getSlowestTests(runner.suites, preface)
+        }
+
+        output += SEPARATOR
+
+        /**
+         * grouped failures of all runners are printed at the end instead
+         */
+        if (!this.config.groupFailures) {
+            output += this.getFailureList(runner.failures)
+        }
+        output += this.getJobLink(runner.jobUrl, preface)
+        return output
+    }
+
+    printSuiteResult (runner) {
+        if (!this.config.reportResultsInstantly) {
+            this.log(this.getSuiteResult(runner), runner.cid)
+        }
+    }
+
+    printSlowestSteps (steps = []) {
+        if (steps.length === 0) {
+            return
+        }
+
+        let output = SECTION_SEPARATOR
+        output += `${this.label('slowestSteps')}:\n\n`
+
+        steps.forEach((step, i) => {
+            const duration = this.durationHumanizer(step.duration, STEP_DURATION_OPTIONS)
+            const testcase = (step.testcase) ? ` ${this.label('inTestcase')} "${step.testcase}"` : ''
+
+            output += `${i + 1}) ${this.color('medium', duration)} ${this.label('step')}: "${step.description}"${testcase}\n`
+        })
+
+        this.log(output)
+    }
+
+    printFlakyTestcases (flakyTestcases = []) {
+        if (flakyTestcases.length === 0) {
+            return
+        }
+
+        let output = SECTION_SEPARATOR
+        output += `${this.label('flakyTestcases')}:\n`
+
+        flakyTestcases.forEach((history, i) => {
+            const attempts = history.attempts.length
+
+            output += '\n'
+            output += this.color('error title', `${i + 1}) ${history.id} ${this.label('passedAfterAttempts', { attempts })}`)
+            output += ' ' + this.color('light', `[${this.getRunnerLabel(history.cid)}]`) + '\n'
+
+            history.attempts.slice(0, -1).forEach((attempt, j) => {
+                output += `\n   ${this.label('attempt')} ${j + 1}: ` + this.color(this.getColor(attempt.outcome), this.label(ATTEMPT_OUTCOME_LABELS[attempt.outcome])) + '\n'
+
+                attempt.errors.forEach((err) => {
+                    output += (err.message || '').trim().split('\n').map((line) => `     ${this.color('error message', line)}`).join('\n') + '\n'
+                })
+            })
+        })
+
+        this.log(output + '\n')
+    }
+
+    getTraceability (rows) {
+        const labels = { pass: 'passed', pending: 'pending', unvalidated: 'unvalidated', fail: 'failed', broken: 'broken' }
+        let output = ''
+
+        rows.forEach((row) => {
+            const state = row.state || 'unvalidated'
+            const description = (row.description) ? ` "${row.description}"` : ''
+            const testcases = (row.testcases.length > 0) ? `${this.label('validatedBy')} ${row.testcases.join(', ')}` : this.label('notValidated')
+
+            output += '\n'
+            output += `${row.spec} ${row.criteria}${description}: ` + this.color(this.getColor(state), (labels[state]) ? this.label(labels[state]) : state) + '\n'
+            output += this.color('light', `   ${testcases}`) + '\n'
+        })
+
+        return output
+    }
+
+    printTraceability (rows = []) {
+        if (rows.length === 0) {
+            return
+        }
+
+        let output = SECTION_SEPARATOR
+        output += `${this.label('traceability')}:\n`
+        output += this.getTraceability(rows)
+
+        this.log(output + '\n')
+    }
+
+    getBrowserMatrix (runners, phase) {
+        const matrix = buildBrowserMatrix(runners, (runner) => getBrowserCombo(runner.capabilities, false))
+        const tag = (phase === 'specs') ? this.label('specPhase') : this.label('testcasePhase')
+
+        if (matrix.rows.length === 0) {
+            return ''
+        }
+
+        const rows = matrix.rows.map((row) => [row.title].concat(matrix.columns.map((column) => {
+            const state = row.states[column]
+            return (state) ? this.color(this.getColor(state), this.getMatrixSymbol(state)) : ''
+        })))
+
+        return renderTable([[`[${tag}]`].concat(matrix.columns)].concat(rows))
+    }
+
+    printBrowserMatrix (run) {
+        if (!this.config.browserMatrix) {
+            return
+        }
+
+        const tables = ['testcases', 'specs'].map((phase) => this.getBrowserMatrix(run[phase].runners, phase)).filter((table) => table)
+
+        if (tables.length === 0) {
+            return
+        }
+
+        let output = SECTION_SEPARATOR
+        output += `${this.label('browserMatrix')}:\n\n`
+        output += tables.join('\n')
+
+        this.log(output + '\n')
+    }
+
+    /**
+     * the failures of all runners of a phase, failures shared by several runners are only returned once
+     */
+    getPhaseFailures (runners) {
+        const failures = []
+        const keys = []
+
+        runners.forEach((runner) => {
+            runner.failures.forEach((failure) => {
+                const key = JSON.stringify([failure.title, failure.cids, failure.errors.map((err) => err.message)])
+
+                if (keys.indexOf(key) < 0) {
+                    keys.push(key)
+                    failures.push(failure)
+                }
+            })
+        })
+
+        return failures
+    }
+
+    getGroupedFailureList (groups) {
+        let output = ''
+
+        groups.forEach((group, i) => {
+            const count = group.tests.length
+            const title = `${i + 1}) ${this.label((count === 1) ? 'testFailedWith' : 'testsFailedWith', { count })}:`
+
+            output += '\n'
+            output += this.color('error title', title) + '\n\n'
+            output += this.getErrorOutput(group.error, group.state === 'unvalidated')
+
+            group.tests.forEach((test) => {
+                const runners = test.cids.map((cid) => this.getRunnerLabel(cid)).join(', ')
+                const artifacts = test.artifacts || []
+
+                output += `  - ${(test.title || '').trim()} ${this.color('light', `[${runners}]`)}\n`
+
+                artifacts.forEach((artifact) => {
+                    output += `    ${artifact.name}: ` + this.color('light', formatArtifactPath(artifact.path, this.config.artifactLinks)) + '\n'
+                })
+            })
+        })
+
+        return output
+    }
+
+    printGroupedFailures (run) {
+        if (!this.config.groupFailures) {
+            return
+        }
+
+        this.failureGroups.testcases = groupFailures(this.getPhaseFailures(run.testcases.runners))
+        this.failureGroups.specs = groupFailures(this.getPhaseFailures(run.specs.runners))
+
+        let output = ''
+
+        if (this.failureGroups.testcases.length > 0) {
+            output += SECTION_SEPARATOR
+            output += `${this.label('groupedTestcaseFailures')}:\n`
+            output += this.getGroupedFailureList(this.failureGroups.testcases) + '\n'
+        }
+
+        if (this.failureGroups.specs.length > 0) {
+            output += SECTION_SEPARATOR
+            output += `${this.label('groupedSpecFailures')}:\n`
+            output += this.getGroupedFailureList(this.failureGroups.specs) + '\n'
+        }
+
+        if (output) {
+            this.log(output)
+        }
+    }
+
+    printFailureGroupsSummary () {
+        if (!this.config.groupFailures) {
+            return
+        }
+
+        const testcases = this.failureGroups.testcases.length
+        const specs = this.failureGroups.specs.length
+
+        if (testcases > 0 || specs > 0) {
+            this.log(this.label('uniqueFailures', { testcases, specs }) + '\n')
+        }
+    }
+
+    /**
+     * the totals of both phases, colored by the theme, with the duration of the longest runner of each phase
+     */
+    printSuitesSummary (run) {
+        const phases = { testcases: this.label('testcasePhase'), specs: this.label('specPhase') }
+        let output = ''
+
+        Object.keys(phases).forEach((phase) => {
+            const result = run[phase]
+            const duration = Math.max.apply(Math, result.runners.map((runner) => runner.duration || 0).concat(0))
+
+            if (result.runners.length > 0) {
+                output += this.getSummary(result.counts, duration, `[${phases[phase]}]`)
+            }
+        })
+
+        if (output) {
+            this.log(SECTION_SEPARATOR + output)
+        }
+    }
+
+    getChangesSinceLastRun (changes) {
+        const colors = {
+            newlyFailing: this.getColor('fail'),
+            newlyBroken: this.getColor('broken'),
+            fixed: this.getColor('pass'),
+            newlyUnvalidated: this.getColor('unvalidated'),
+            added: 'light',
+            removed: 'light'
+        }
+        const phases = { testcases: `[${this.label('testcasePhase')}]`, specs: `[${this.label('specPhase')}]` }
+        let output = ''
+
+        Object.keys(phases).forEach((phase) => {
+            CHANGES.filter((change) => changes[phase][change].length > 0).forEach((change) => {
+                output += `\n${phases[phase]} ${this.label(change)}:\n`
+                output += changes[phase][change].map((key) => this.color(colors[change], `   ${key}`)).join('\n') + '\n'
+            })
+        })
+
+        return output || `\n${this.label('noChanges')}\n`
+    }
+
+    printChangesSinceLastRun (changes) {
+        if (!changes) {
+            return
+        }
+
+        let output = SECTION_SEPARATOR
+        output += `${this.label('changesSinceLastRun')} (${changes.since}):\n`
+        output += this.getChangesSinceLastRun(changes)
+
+        this.log(output + '\n')
+    }
+}
+
+export default ConsoleFormatter
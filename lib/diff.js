@@ -0,0 +1,62 @@
+import { canonicalize, diffLines, diffWordsWithSpace } from 'diff'
+
+/**
+ * turn an expected or actual value into a string which can be compared line by line
+ *
+ * @param {*} value
+ * @return {String}
+ */
+export function stringify (value) {
+    if (typeof value === 'string') {
+        return value
+    }
+
+    if (typeof value === 'undefined') {
+        return 'undefined'
+    }
+
+    if (typeof value === 'function') {
+        return value.toString()
+    }
+
+    return JSON.stringify(canonicalize(value), null, 2)
+}
+
+/**
+ * check if an error carries the values needed to render a diff
+ *
+ * @param {Object} err
+ * @return {Boolean}
+ */
+export function hasDiff (err) {
+    return Boolean(err) &&
+        err.showDiff !== false &&
+        'expected' in err &&
+        'actual' in err &&
+        stringify(err.expected) !== stringify(err.actual)
+}
+
+/**
+ * compute the changes required to turn the actual into the expected value
+ *
+ * Single line values are compared word by word ("inline"), objects, arrays and
+ * multiline strings line by line ("lines"), unless a mode is forced.
+ *
+ * @param {*} expected
+ * @param {*} actual
+ * @param {String} mode  auto, inline or lines
+ * @return {Object}      mode and the changes (value, added, removed) of the diff
+ */
+export function getDiff (expected, actual, mode = 'auto') {
+    const expectedStr = stringify(expected)
+    const actualStr = stringify(actual)
+
+    if (mode === 'auto') {
+        mode = (expectedStr.indexOf('\n') < 0 && actualStr.indexOf('\n') < 0) ? 'inline' : 'lines'
+    }
+
+    return {
+        mode,
+        changes: (mode === 'inline') ? diffWordsWithSpace(actualStr, expectedStr) : diffLines(actualStr, expectedStr)
+    }
+}
@@ -0,0 +1,65 @@
+import { filterStack } from './stacktrace'
+import { stripColors } from './themes'
+
+/**
+ * normalise an error message so that messages differing only in numbers,
+ * ids or whitespace end up in the same group
+ *
+ * @param {String} message
+ * @return {String}
+ */
+export function normalizeMessage (message = '') {
+    return stripColors(message)
+        .replace(/\b[0-9a-f]{8}(-[0-9a-f]{4}){3}-[0-9a-f]{12}\b/gi, '<id>')
+        .replace(/\d+(\.\d+)?/g, '<n>')
+        .replace(/\s+/g, ' ')
+        .trim()
+}
+
+/**
+ * returns the first frame of a stack which is not filtered
+ *
+ * @param {String} stack
+ * @return {String}
+ */
+export function getTopFrame (stack) {
+    if (!stack) {
+        return ''
+    }
+
+    return filterStack(stack).split('\n').map((line) => line.trim()).find((line) => line.indexOf('at ') === 0) || ''
+}
+
+/**
+ * cluster failures by their normalised error message and top stack frame
+ *
+ * @param {Object[]} failures  title, cids and errors of each failed test
+ * @return {Object[]}          one group per unique error holding its first error and all affected tests
+ */
+export function groupFailures (failures) {
+    const groups = []
+    const groupsByKey = {}
+
+    failures.forEach((failure) => {
+        const error = failure.errors[0] || { message: '' }
+        const key = `${normalizeMessage(error.message)}\n${getTopFrame(error.stack)}`
+
+        if (!groupsByKey[key]) {
+            groupsByKey[key] = {
+                key,
+                error,
+                state: failure.state,
+                tests: []
+            }
+            groups.push(groupsByKey[key])
+        }
+
+        groupsByKey[key].tests.push({
+            title: failure.title,
+            cids: failure.cids,
+            artifacts: failure.artifacts || []
+        })
+    })
+
+    return groups
+}
@@ -0,0 +1,62 @@
+/**
+ * Base class of formatters, which turn the results collected by the reporter into output.
+ *
+ * The reporter calls the lifecycle callbacks of each configured formatter with a normalised
+ * model of the runner, suite, test or run. The event payload received by the reporter is
+ * passed as second argument. Every callback is optional, formatters do not need to extend
+ * this class.
+ *
+ * Models:
+ * - runner:   { cid, phase, specs, sessionID, capabilities, browser, counts }
+ * - suite:    { cid, phase, uid, title, depth }
+ * - testcase: { cid, id, retry }
+ * - step:     { cid, title, description, arg, depth }, when it starts
+ *             { cid, description, duration, depth }, when it ends
+ * - test:     { cid, phase, uid, title, state, duration, depth, errors }
+ * - failure:  { cid, phase, kind, error }, kind is 'broken' or 'validation'
+ * - progress: { phase, running, finished, testcase, counts, start }
+ * - run:      the results of all runners of both phases, as written to the jsonResultsFile
+ *
+ * onRunnerEnd receives the result of the runner as written to the jsonResultsFile, with its
+ * phase. Steps are passed to onStepStart and onStepEnd if consoleLogLevel is 'steps' and
+ * stepFilter shows them. onProgress is called whenever a runner or testcase starts or a test
+ * or runner ends.
+ *
+ * phase is either 'testcases' or 'specs'.
+ */
+class Formatter {
+    /**
+     * @param {Object} config        reporter options
+     * @param {Object} baseReporter  wdio base reporter, for its symbols, colors and log
+     */
+    constructor (config = {}, baseReporter) {
+        this.config = config
+        this.baseReporter = baseReporter
+    }
+
+    onRunnerInit (runner, event) {}
+
+    onRunnerStart (runner, event) {}
+
+    onSuiteStart (suite, event) {}
+
+    onTestcaseStart (testcase, event) {}
+
+    onStepStart (step, event) {}
+
+    onStepEnd (step, event) {}
+
+    onTestEnd (test, event) {}
+
+    onError (failure, event) {}
+
+    onSuiteEnd (suite, event) {}
+
+    onRunnerEnd (runner, event) {}
+
+    onProgress (progress) {}
+
+    onEnd (run) {}
+}
+
+export default Formatter
@@ -0,0 +1,12 @@
+const HOOK_TITLE = /^"(before all|before each|after each|after all)" hook/
+
+/**
+ * returns the type of hook a failure title belongs to, eg. `"before each" hook for "logs in"`
+ *
+ * @param {String} title
+ * @return {String}  'before all', 'before each', 'after each' or 'after all', undefined for tests
+ */
+export function getHookType (title) {
+    const match = HOOK_TITLE.exec(title || '')
+    return (match) ? match[1] : undefined
+}
@@ -0,0 +1,76 @@
+import util from 'util'
+
+import { formatLabel, LOCALES } from './locales'
+
+/**
+ * line width of util.inspect, fixed together with the classic layout of one entry per line
+ * so that the number of printed lines doesn't depend on the node version
+ */
+const BREAK_LENGTH = 60
+
+/**
+ * returns a copy of a value with all strings longer than maxLength shortened
+ *
+ * @param {*} value
+ * @param {Number} maxLength
+ * @param {String} label      appended to shortened strings, {count} is the number of removed characters
+ * @return {*}
+ */
+export function truncateStrings (value, maxLength, label = LOCALES.en.labels.moreCharacters) {
+    if (typeof value === 'string') {
+        const more = value.length - maxLength
+        return (more > 0) ? value.substr(0, maxLength) + formatLabel(label, { count: more }) : value
+    }
+
+    if (Array.isArray(value)) {
+        return value.map((item) => truncateStrings(item, maxLength, label))
+    }
+
+    if (value && typeof value === 'object') {
+        const truncated = {}
+
+        Object.keys(value).forEach((key) => {
+            truncated[key] = truncateStrings(value[key], maxLength, label)
+        })
+
+        return truncated
+    }
+
+    return value
+}
+
+/**
+ * Format a step argument for the console.
+ *
+ * @param {*} value
+ * @param {Object} options  depth, maxStringLength, maxArrayLength, maxLines, compact and
+ *                          the labels moreCharacters and moreLines
+ * @return {Array}          the lines to print
+ */
+export function inspectArg (value, options = {}) {
+    const labels = Object.assign({}, LOCALES.en.labels, options.labels)
+
+    if (options.maxStringLength) {
+        value = truncateStrings(value, options.maxStringLength, labels.moreCharacters)
+    }
+
+    let output = util.inspect(value, {
+        depth: (typeof options.depth !== 'undefined') ? options.depth : 2,
+        maxArrayLength: (typeof options.maxArrayLength !== 'undefined') ? options.maxArrayLength : 100,
+        breakLength: BREAK_LENGTH,
+        compact: true
+    })
+
+    if (options.compact) {
+        output = output.replace(/\s*\n\s*/g, ' ')
+    }
+
+    const lines = output.split('\n')
+
+    if (options.maxLines && lines.length > options.maxLines) {
+        const more = lines.length - options.maxLines
+        return lines.slice(0, options.maxLines).concat(formatLabel(labels.moreLines, { count: more }))
+    }
+
+    return lines
+}
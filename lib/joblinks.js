@@ -0,0 +1,66 @@
+/**
+ * session viewers of the supported cloud providers, identified by the configured host
+ */
+export const JOB_LINKS = [{
+    host: 'saucelabs.com',
+    template: 'https://saucelabs.com/tests/{sessionID}'
+}, {
+    host: 'browserstack.com',
+    template: 'https://automate.browserstack.com/sessions/{sessionID}'
+}, {
+    host: 'testingbot.com',
+    template: 'https://testingbot.com/members/tests/{sessionID}'
+}, {
+    host: 'lambdatest.com',
+    template: 'https://automation.lambdatest.com/logs/?sessionID={sessionID}'
+}]
+
+/**
+ * placeholders which are inserted as they are, as they form the authority of a link
+ */
+const UNENCODED_PLACEHOLDERS = ['host']
+
+/**
+ * replace the {sessionID}, {cid} and {host} placeholders of a link template,
+ * all values but the host are encoded as they end up in path or query segments
+ *
+ * @param {String} template
+ * @param {Object} values
+ * @return {String}
+ */
+export function fillTemplate (template, values) {
+    return template.replace(/\{(\w+)\}/g, (match, name) => {
+        if (typeof values[name] === 'undefined') {
+            return match
+        }
+
+        return (UNENCODED_PLACEHOLDERS.indexOf(name) > -1) ? String(values[name]) : encodeURIComponent(values[name])
+    })
+}
+
+/**
+ * build the link to the session of a runner
+ *
+ * @param {Object} values     sessionID, cid and host of the runner
+ * @param {String} template   user supplied template, takes precedence over the known providers
+ * @return {String}           undefined if no link can be built
+ */
+export function getJobUrl (values, template) {
+    if (!values.sessionID) {
+        return
+    }
+
+    if (template) {
+        return fillTemplate(template, values)
+    }
+
+    if (!values.host) {
+        return
+    }
+
+    const provider = JOB_LINKS.find((link) => values.host.indexOf(link.host) > -1)
+
+    if (provider) {
+        return fillTemplate(provider.template, values)
+    }
+}
@@ -0,0 +1,166 @@
+import { stripColors } from './themes'
+
+const UNVALIDATED_KINDS = ['failure', 'error', 'skipped']
+
+/**
+ * remove characters which are not allowed in xml documents (eg. ansi escape codes)
+ * and escape xml entities
+ */
+export function escapeXml (str) {
+    return stripColors(str)
+        .replace(/[^\x09\x0A\x0D\x20-\uFFFD]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;')
+}
+
+function attributes (attrs) {
+    return Object.keys(attrs)
+        .filter((name) => typeof attrs[name] !== 'undefined')
+        .map((name) => ` ${name}="${escapeXml(attrs[name])}"`)
+        .join('')
+}
+
+function seconds (duration) {
+    return ((duration || 0) / 1000).toFixed(3)
+}
+
+/**
+ * Collects the test results of both workflo phases and renders them as a
+ * JUnit XML document.
+ */
+class JunitReport {
+    constructor (options = {}) {
+        this.unvalidatedAs = options.unvalidatedAs || 'failure'
+        this.runners = {}
+        this.suites = []
+        this.suitesByUid = {}
+
+        if (UNVALIDATED_KINDS.indexOf(this.unvalidatedAs) < 0) {
+            throw new Error(`junitUnvalidatedAs must be one of ${UNVALIDATED_KINDS.join(', ')}`)
+        }
+    }
+
+    addRunner (phase, cid, browser) {
+        this.runners[`${phase}:${cid}`] = browser
+    }
+
+    addSuite (phase, suite) {
+        const key = `${phase}:${suite.cid}:${suite.uid}`
+
+        if (!this.suitesByUid[key]) {
+            this.suitesByUid[key] = {
+                phase,
+                cid: suite.cid,
+                title: suite.title,
+                browser: this.runners[`${phase}:${suite.cid}`],
+                tests: []
+            }
+            this.suites.push(this.suitesByUid[key])
+        }
+
+        return this.suitesByUid[key]
+    }
+
+    addTest (phase, test, state, errors = [], artifacts = []) {
+        const suite = this.addSuite(phase, {
+            cid: test.cid,
+            uid: test.parentUid || test.parent,
+            title: test.parent
+        })
+
+        suite.tests.push({
+            title: test.title,
+            state,
+            duration: test.duration,
+            errors: errors.filter((err) => err),
+            artifacts
+        })
+    }
+
+    getKind (state) {
+        switch (state) {
+        case 'fail':
+            return 'failure'
+        case 'broken':
+        case 'hook':
+            return 'error'
+        case 'unvalidated':
+            return this.unvalidatedAs
+        case 'pending':
+            return 'skipped'
+        }
+    }
+
+    renderTest (suite, test) {
+        const kind = this.getKind(test.state)
+        const classname = `${suite.phase}.${suite.title}`
+        let output = `    <testcase${attributes({ classname, name: test.title, time: seconds(test.duration) })}`
+
+        if (!kind) {
+            return `${output}/>\n`
+        }
+
+        output += '>\n'
+
+        if (kind === 'skipped') {
+            const message = (test.errors.length > 0) ? test.errors[0].message : undefined
+            output += `      <skipped${attributes({ message })}/>\n`
+        } else {
+            const message = (test.errors.length > 0) ? test.errors[0].message : test.state
+            const body = test.errors.map((err) => [err.message, err.stack].filter((l) => l).join('\n')).join('\n\n')
+
+            output += `      <${kind}${attributes({ message, type: test.state })}>${escapeXml(body)}</${kind}>\n`
+        }
+
+        if (test.artifacts.length > 0) {
+            const attachments = test.artifacts.map((artifact) => `[[ATTACHMENT|${artifact.path}]]`).join('\n')
+            output += `      <system-out>${escapeXml(attachments)}</system-out>\n`
+        }
+
+        return `${output}    </testcase>\n`
+    }
+
+    renderSuite (suite) {
+        const count = (kind) => suite.tests.filter((test) => this.getKind(test.state) === kind).length
+        const time = suite.tests.reduce((sum, test) => sum + (test.duration || 0), 0)
+
+        let output = `  <testsuite${attributes({
+            name: suite.title,
+            package: suite.phase,
+            hostname: suite.browser,
+            tests: suite.tests.length,
+            failures: count('failure'),
+            errors: count('error'),
+            skipped: count('skipped'),
+            time: seconds(time)
+        })}>\n`
+
+        output += `    <properties>\n`
+        output += `      <property${attributes({ name: 'phase', value: suite.phase })}/>\n`
+        output += `      <property${attributes({ name: 'cid', value: suite.cid })}/>\n`
+        output += `    </properties>\n`
+
+        suite.tests.forEach((test) => {
+            output += this.renderTest(suite, test)
+        })
+
+        return `${output}  </testsuite>\n`
+    }
+
+    toXml () {
+        let output = '<?xml version="1.0" encoding="UTF-8"?>\n'
+
+        output += '<testsuites>\n'
+        this.suites.filter((suite) => suite.tests.length > 0).forEach((suite) => {
+            output += this.renderSuite(suite)
+        })
+        output += '</testsuites>\n'
+
+        return output
+    }
+}
+
+export default JunitReport
@@ -0,0 +1,162 @@
+/**
+ * Locales translate the labels printed by the reporter. Labels may contain
+ * {name} placeholders. Durations are printed with the short unit names of
+ * the locale, as a humanize-duration language.
+ */
+export const LOCALES = {
+    en: {
+        durations: { h: 'h', m: 'm', s: 's', ms: 'ms' },
+        decimal: '.',
+        labels: {
+            testcasePhase: 'TESTCASE',
+            specPhase: 'SPEC',
+            testcase: 'TESTCASE',
+            step: 'STEP',
+            done: 'DONE',
+            retry: 'Retry',
+            sessionId: 'Session ID',
+            specFile: 'Spec File',
+            testcaseFile: 'Testcase File',
+            running: 'Running',
+            jobLink: 'Check out job at',
+            passing: 'passing',
+            pending: 'skipped',
+            failing: 'failing',
+            broken: 'broken',
+            unvalidated: 'unvalidated',
+            hooks: 'failing hooks',
+            hookFailure: '{hook} hook',
+            hookFailureInSuite: '{hook} hook in "{suite}"',
+            passed: 'passed',
+            failed: 'failed',
+            expected: 'expected',
+            actual: 'actual',
+            slowestTests: 'Slowest tests',
+            slowestSteps: 'Slowest Steps',
+            inTestcase: 'in testcase',
+            flakyTestcases: 'Flaky Testcases',
+            passedAfterAttempts: 'passed after {attempts} attempts',
+            attempt: 'Attempt',
+            traceability: 'Traceability',
+            validatedBy: 'validated by',
+            notValidated: 'not validated by any testcase',
+            changesSinceLastRun: 'Changes since last run',
+            noChanges: 'No changes',
+            newlyFailing: 'newly failing',
+            newlyBroken: 'newly broken',
+            fixed: 'fixed',
+            newlyUnvalidated: 'newly unvalidated',
+            added: 'added',
+            removed: 'removed',
+            groupedTestcaseFailures: 'Grouped Testcase Failures',
+            groupedSpecFailures: 'Grouped Spec Failures',
+            testFailedWith: '{count} test failed with',
+            testsFailedWith: '{count} tests failed with',
+            uniqueFailures: 'Unique Failures: {testcases} in testcases, {specs} in specs',
+            progress: '{running} running, {finished} finished',
+            browserMatrix: 'Browser Matrix',
+            passingTestHidden: '{count} passing test hidden',
+            passingTestsHidden: '{count} passing tests hidden',
+            moreCharacters: '... {count} more characters',
+            moreLines: '... {count} more lines',
+            moreFrames: '... {count} more',
+            artifacts: 'Artifacts'
+        }
+    },
+    de: {
+        durations: { h: 'h', m: 'min', s: 's', ms: 'ms' },
+        decimal: ',',
+        labels: {
+            testcasePhase: 'TESTFALL',
+            specPhase: 'SPEZ',
+            testcase: 'TESTFALL',
+            step: 'SCHRITT',
+            done: 'FERTIG',
+            retry: 'Wiederholung',
+            sessionId: 'Sitzungs-ID',
+            specFile: 'Spezifikationsdatei',
+            testcaseFile: 'Testfalldatei',
+            running: 'Ausgeführt in',
+            jobLink: 'Job ansehen unter',
+            passing: 'erfolgreich',
+            pending: 'übersprungen',
+            failing: 'fehlgeschlagen',
+            broken: 'abgebrochen',
+            unvalidated: 'nicht validiert',
+            hooks: 'fehlgeschlagene Hooks',
+            hookFailure: '{hook}-Hook',
+            hookFailureInSuite: '{hook}-Hook in "{suite}"',
+            passed: 'erfolgreich',
+            failed: 'fehlgeschlagen',
+            expected: 'erwartet',
+            actual: 'tatsächlich',
+            slowestTests: 'Langsamste Tests',
+            slowestSteps: 'Langsamste Schritte',
+            inTestcase: 'in Testfall',
+            flakyTestcases: 'Instabile Testfälle',
+            passedAfterAttempts: 'erfolgreich nach {attempts} Versuchen',
+            attempt: 'Versuch',
+            traceability: 'Nachverfolgbarkeit',
+            validatedBy: 'validiert durch',
+            notValidated: 'von keinem Testfall validiert',
+            changesSinceLastRun: 'Änderungen seit dem letzten Lauf',
+            noChanges: 'Keine Änderungen',
+            newlyFailing: 'neu fehlgeschlagen',
+            newlyBroken: 'neu abgebrochen',
+            fixed: 'behoben',
+            newlyUnvalidated: 'neu nicht validiert',
+            added: 'hinzugefügt',
+            removed: 'entfernt',
+            groupedTestcaseFailures: 'Gruppierte Testfall-Fehler',
+            groupedSpecFailures: 'Gruppierte Spezifikations-Fehler',
+            testFailedWith: '{count} Test fehlgeschlagen mit',
+            testsFailedWith: '{count} Tests fehlgeschlagen mit',
+            uniqueFailures: 'Eindeutige Fehler: {testcases} in Testfällen, {specs} in Spezifikationen',
+            progress: '{running} laufend, {finished} beendet',
+            browserMatrix: 'Browser-Matrix',
+            passingTestHidden: '{count} erfolgreicher Test ausgeblendet',
+            passingTestsHidden: '{count} erfolgreiche Tests ausgeblendet',
+            moreCharacters: '... {count} weitere Zeichen',
+            moreLines: '... {count} weitere Zeilen',
+            moreFrames: '... {count} weitere',
+            artifacts: 'Artefakte'
+        }
+    }
+}
+
+/**
+ * merge a locale with the language it is based on
+ *
+ * @param {String|Object} locale  name of a language or an object with an optional language, labels and durations
+ * @return {Object}               labels, durations and decimal separator of the locale
+ */
+export function resolveLocale (locale = 'en') {
+    if (typeof locale === 'string') {
+        locale = { language: locale }
+    }
+
+    const language = LOCALES[locale.language || 'en']
+
+    if (!language) {
+        throw new Error(`Unknown locale "${locale.language}", use one of ${Object.keys(LOCALES).join(', ')}`)
+    }
+
+    return {
+        labels: Object.assign({}, language.labels, locale.labels),
+        durations: Object.assign({}, language.durations, locale.durations),
+        decimal: locale.decimal || language.decimal
+    }
+}
+
+/**
+ * replace the {name} placeholders of a label
+ *
+ * @param {String} label
+ * @param {Object} values
+ * @return {String}
+ */
+export function formatLabel (label, values = {}) {
+    return label.replace(/\{(\w+)\}/g, (match, name) => {
+        return (typeof values[name] !== 'undefined') ? values[name] : match
+    })
+}
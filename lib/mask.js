@@ -0,0 +1,104 @@
+export const DEFAULT_SECRET_KEYS = ['password', 'passwd', 'secret', 'token', 'apikey', 'authorization']
+
+const DEFAULT_MASK = '******'
+
+function escapeRegExp (str) {
+    return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+/**
+ * Replaces secrets in printed step arguments and error messages.
+ *
+ * Values of object keys matching one of the configured keys (case insensitive substrings
+ * or RegExps) are masked. Masked values are remembered so that they are also hidden if they
+ * show up in error messages later on. Strings matching one of the configured patterns are
+ * masked everywhere.
+ */
+class SecretMasker {
+    constructor (options = {}) {
+        this.keys = options.keys || DEFAULT_SECRET_KEYS
+        this.patterns = [].concat(options.patterns || []).map((pattern) => {
+            return (pattern instanceof RegExp) ? new RegExp(pattern.source, pattern.flags.replace('g', '') + 'g') : new RegExp(pattern, 'g')
+        })
+        this.mask = options.mask || DEFAULT_MASK
+        this.secrets = []
+    }
+
+    isSecretKey (key) {
+        return this.keys.some((secretKey) => {
+            return (secretKey instanceof RegExp) ? secretKey.test(key) : key.toLowerCase().indexOf(secretKey.toLowerCase()) > -1
+        })
+    }
+
+    /**
+     * only non-empty strings are remembered, masking values like `true` or `1`
+     * everywhere would hide unrelated output
+     */
+    addSecret (value) {
+        if (typeof value === 'string' && value.length > 0 && this.secrets.indexOf(value) < 0) {
+            this.secrets.push(value)
+        }
+    }
+
+    /**
+     * returns a masked copy of a value
+     *
+     * @param {*} value
+     * @return {*}
+     */
+    maskValue (value) {
+        if (typeof value === 'string') {
+            return this.maskText(value)
+        }
+
+        if (Array.isArray(value)) {
+            return value.map((item) => this.maskValue(item))
+        }
+
+        if (value && typeof value === 'object') {
+            const masked = {}
+
+            Object.keys(value).forEach((key) => {
+                if (this.isSecretKey(key) && value[key] !== null && typeof value[key] !== 'object') {
+                    this.addSecret(value[key])
+                    masked[key] = this.mask
+                } else {
+                    masked[key] = this.maskValue(value[key])
+                }
+            })
+
+            return masked
+        }
+
+        return value
+    }
+
+    /**
+     * mask known secrets, values of secret keys (key: value, key=value, "key": "value") and pattern matches in a text
+     *
+     * @param {String} text
+     * @return {String}
+     */
+    maskText (text) {
+        if (typeof text !== 'string') {
+            return text
+        }
+
+        this.secrets.forEach((secret) => {
+            text = text.replace(new RegExp(escapeRegExp(secret), 'g'), this.mask)
+        })
+
+        this.keys.filter((key) => typeof key === 'string').forEach((key) => {
+            const keyValue = new RegExp(`(["']?\\w*${escapeRegExp(key)}\\w*["']?\\s*[:=]\\s*)(["'][^"']*["']|[^\\s,;}"']+)`, 'gi')
+            text = text.replace(keyValue, (match, prefix) => prefix + this.mask)
+        })
+
+        this.patterns.forEach((pattern) => {
+            text = text.replace(pattern, this.mask)
+        })
+
+        return text
+    }
+}
+
+export default SecretMasker
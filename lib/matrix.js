@@ -0,0 +1,68 @@
+import { stripColors } from './themes'
+import { STATES } from './traceability'
+
+function pad (str, width) {
+    const length = stripColors(str).length
+    return (length < width) ? str + ' '.repeat(width - length) : str
+}
+
+/**
+ * Collect the state of each test per browser. If a test ran more than once in
+ * the same browser, its worst state is kept.
+ *
+ * @param {Array} runners          runner results, see SpecReporter#getRunnerResult
+ * @param {Function} getColumn     returns the column of a runner
+ * @return {Object}                columns and rows with the state per column
+ */
+export function buildBrowserMatrix (runners, getColumn) {
+    const columns = []
+    const rows = []
+    const rowsByTitle = {}
+
+    runners.forEach((runner) => {
+        const column = getColumn(runner)
+
+        if (columns.indexOf(column) < 0) {
+            columns.push(column)
+        }
+
+        runner.suites.forEach((suite) => {
+            suite.tests.forEach((test) => {
+                const title = `${suite.title} ${test.title}`
+
+                if (!rowsByTitle[title]) {
+                    rowsByTitle[title] = { title, states: {} }
+                    rows.push(rowsByTitle[title])
+                }
+
+                const states = rowsByTitle[title].states
+
+                if (!states[column] || STATES.indexOf(test.state) > STATES.indexOf(states[column])) {
+                    states[column] = test.state
+                }
+            })
+        })
+    })
+
+    return { columns, rows }
+}
+
+/**
+ * render rows of cells as left aligned columns, cells may contain ansi codes
+ *
+ * @param {Array} rows
+ * @return {String}
+ */
+export function renderTable (rows) {
+    const widths = []
+
+    rows.forEach((cells) => {
+        cells.forEach((cell, i) => {
+            widths[i] = Math.max(widths[i] || 0, stripColors(cell).length)
+        })
+    })
+
+    return rows.map((cells) => {
+        return cells.map((cell, i) => (i < cells.length - 1) ? pad(cell, widths[i]) : cell).join('  ')
+    }).join('\n') + '\n'
+}
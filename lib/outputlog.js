@@ -0,0 +1,63 @@
+import fs from 'fs'
+import path from 'path'
+
+import { stripColors } from './themes'
+import { writeFile } from './utils'
+
+export const RUN_LOG = 'run.log'
+
+/**
+ * Writes the output of the reporter to a log file per runner and a combined
+ * log of the whole run, both without colors.
+ */
+class OutputLog {
+    constructor (dir) {
+        this.dir = dir
+        this.runnerFiles = {}
+        this.writtenFiles = []
+    }
+
+    /**
+     * register the log file of a runner, named after its phase, cid and first spec file
+     *
+     * @param {String} phase
+     * @param {String} cid
+     * @param {Array} specs
+     */
+    addRunner (phase, cid, specs = []) {
+        const spec = [].concat(specs)[0]
+        const name = (spec) ? `-${path.basename(spec, path.extname(spec))}` : ''
+
+        this.runnerFiles[cid] = `${phase}-${cid}${name}.log`
+    }
+
+    /**
+     * @param {String} output
+     * @param {String} cid     runner the output belongs to, if any
+     */
+    write (output, cid) {
+        const text = stripColors(output) + '\n'
+
+        this.append(RUN_LOG, text)
+
+        if (cid && this.runnerFiles[cid]) {
+            this.append(this.runnerFiles[cid], text)
+        }
+    }
+
+    /**
+     * files are overwritten by the first write of a run
+     */
+    append (file, text) {
+        const filePath = path.join(this.dir, file)
+
+        if (this.writtenFiles.indexOf(file) < 0) {
+            this.writtenFiles.push(file)
+            writeFile(filePath, text)
+        } else {
+            fs.appendFileSync(filePath, text, 'utf8')
+        }
+    }
+}
+
+export default OutputLog
@@ -0,0 +1,29 @@
+const CLEAR_LINE = '\r\u001b[K'
+
+/**
+ * A single status line which is rewritten in place. Only meant for terminals,
+ * anything else printed to the stream has to clear the line first.
+ */
+class ProgressLine {
+    constructor (stream = process.stdout) {
+        this.stream = stream
+        this.visible = false
+    }
+
+    render (text) {
+        const width = this.stream.columns || 80
+        const line = (text.length >= width) ? `${text.substr(0, width - 4)}...` : text
+
+        this.stream.write(CLEAR_LINE + line)
+        this.visible = true
+    }
+
+    clear () {
+        if (this.visible) {
+            this.stream.write(CLEAR_LINE)
+            this.visible = false
+        }
+    }
+}
+
+export default ProgressLine
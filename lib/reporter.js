@@ -1,14 +1,21 @@
 import events from 'events'
-import humanizeDuration from 'humanize-duration'
-import util from 'util'
 
-const DURATION_OPTIONS = {
-    units: ['m', 's'],
-    round: true,
-    spacer: ''
-}
+import { normalizeArtifact } from './artifacts'
+import { getBrowserCombo } from './capabilities'
+import ConsoleFormatter from './consoleformatter'
+import Formatter from './formatter'
+import { getHookType } from './hooks'
+import { getJobUrl } from './joblinks'
+import JunitReport from './junit'
+import SecretMasker from './mask'
+import { compareSnapshots, createSnapshot, readSnapshot } from './snapshot'
+import { toRegExps } from './stacktrace'
+import TraceabilityMatrix, { parseValidation } from './traceability'
+import { writeFile } from './utils'
+
+const RESULT_LIST_MODES = ['full', 'failures', 'collapsed']
 
-const STACKTRACE_FILTER = /(node_modules(\/|\\)(\w+)*|wdio-sync\/build|- - - - -)/g
+const INSTANT_OUTPUT_MODES = ['prefix', 'buffer']
 
 /**
  * Initialize a new `spec` test reporter.
@@ -17,37 +24,58 @@ const STACKTRACE_FILTER = /(node_modules(\/|\\)(\w+)*|wdio-sync\/build|- - - - -
  * @api public
  */
 class SpecReporter extends events.EventEmitter {
-    constructor (baseReporter, config, options = {}) {
+    constructor (baseReporter, config = {}, options = {}) {
         super()
 
         this.baseReporter = baseReporter
         this.config = config
         this.options = options
-        this.shortEnglishHumanizer = humanizeDuration.humanizer({
-            language: 'shortEn',
-            languages: { shortEn: {
-                h: () => 'h',
-                m: () => 'm',
-                s: () => 's',
-                ms: () => 'ms'
-            }}
-        })
+        if (RESULT_LIST_MODES.indexOf(this.config.resultList || 'full') < 0) {
+            throw new Error(`resultList must be one of ${RESULT_LIST_MODES.join(', ')}`)
+        }
+
+        if (this.config.instantOutputMode && INSTANT_OUTPUT_MODES.indexOf(this.config.instantOutputMode) < 0) {
+            throw new Error(`instantOutputMode must be one of ${INSTANT_OUTPUT_MODES.join(', ')}`)
+        }
 
-        this.errorCount = 0
-        this.failureCount = 0
         this.indents = {}
         this.stepIndents = {}
-        this.stepIndentWidth = 2
-        this.stepIndentOffset = 1
+        this.runningSteps = {}
+        this.stepDurations = []
+        this.stepFilter = this.config.stepFilter || {}
+        this.stepIncludes = toRegExps(this.stepFilter.include)
+        this.stepExcludes = toRegExps(this.stepFilter.exclude)
         this.suiteIndents = {}
         this.specs = {}
         this.results = {}
         this.startedSpecs = false
-        this.retryCount = 0
-        this.currentTest = undefined
+        this.retryCounts = {}
+        this.currentTests = {}
+        this.startTime = new Date()
+        this.runnerResults = {
+            testcases: [],
+            specs: []
+        }
+        this.testcaseHistories = []
+        this.currentHistories = {}
+        this.runningRunners = []
+        this.finishedRunners = 0
+        this.lastTestcase = undefined
+        this.artifacts = {}
+        this.lastFailedTests = {}
+
+        if (this.config.maskSecrets) {
+            this.secretMasker = new SecretMasker((typeof this.config.maskSecrets === 'object') ? this.config.maskSecrets : {})
+        }
+
+        if (this.config.traceability) {
+            this.traceabilityMatrix = new TraceabilityMatrix()
+        }
+
+        this.formatters = [].concat(this.config.formatters || 'console').map((formatter) => this.createFormatter(formatter))
 
-        if (this.config.reportResultsInstantly) {
-            this.currentSuite = undefined
+        if (this.config.junitResultsFile) {
+            this.junitReport = new JunitReport({ unvalidatedAs: this.config.junitUnvalidatedAs })
         }
 
         this.on('startSpecs', (runner) => {
@@ -57,11 +85,11 @@ class SpecReporter extends events.EventEmitter {
                     pending: 0,
                     failing: 0,
                     broken: 0,
-                    unvalidated: 0
+                    unvalidated: 0,
+                    hooks: 0
                 }
 
-                this.failureCount = 0
-                this.errorCount = 0
+                this.finishedRunners = 0
 
                 this.startedSpecs = true
             }
@@ -76,552 +104,740 @@ class SpecReporter extends events.EventEmitter {
                 pending: 0,
                 failing: 0,
                 broken: 0,
-                unvalidated: 0
+                unvalidated: 0,
+                hooks: 0
             }
 
-            if (this.startedSpecs) {
-                if (this.config.reportResultsInstantly) {
-                    this.printRunnerInfo(runner)
-                }
+            if (this.junitReport && runner.capabilities) {
+                this.junitReport.addRunner(this.getPhaseName(), runner.cid, this.getBrowserCombo(runner.capabilities))
             }
+
+            this.runningRunners.push(runner.cid)
+            this.updateProgress()
+
+            this.format('onRunnerStart', this.getRunnerModel(runner), runner)
         })
 
         // printNow
         this.on('runner:init', (runner) => {
-            if (this.config.reportResultsInstantly) {
-                this.printRunnerInfo(runner)
-            }
+            this.format('onRunnerInit', this.getRunnerModel(runner), runner)
         })
 
         this.on('suite:start', function (suite) {
             this.suiteIndents[suite.cid][suite.uid] = ++this.indents[suite.cid]
 
-            if (this.config.reportResultsInstantly) {
-                this.currentSuite = suite
-                this.printSuiteTitle(suite)
+            if (this.junitReport) {
+                this.junitReport.addSuite(this.getPhaseName(), suite)
             }
+
+            this.format('onSuiteStart', this.getSuiteModel(suite), suite)
         })
 
         this.on('test:setCurrentId', function (test) {
-            this.retryCount = 0
-            this.currentTest = test
+            this.retryCounts[test.cid] = 0
+            this.currentTests[test.cid] = test
+            this.lastTestcase = (this.startedSpecs) ? undefined : test.id
+            this.updateProgress()
 
-            if ((this.config.consoleLogLevel === 'testcases' || this.config.consoleLogLevel === 'steps') && !this.startedSpecs) {
-                this.printTestcaseTitle(test)
+            if (!this.startedSpecs) {
+                this.startTestcaseHistory(test)
+                this.format('onTestcaseStart', { cid: test.cid, id: test.id, retry: 0 }, test)
+            }
 
-                if (this.config.consoleLogLevel === 'steps') {
-                    this.stepIndents[test.cid] = 0
-                }
+            if (this.config.consoleLogLevel === 'steps' && !this.startedSpecs) {
+                this.stepIndents[test.cid] = 0
+                this.runningSteps[test.cid] = []
             }
         })
 
         this.on('test:pending', function (test) {
             this.results[test.cid].pending++
-            this.currentTest = undefined
+            this.addCriterionResult(test.cid, 'pending')
+            delete this.currentTests[test.cid]
+            this.addJunitTest(test, 'pending')
 
-            if (this.config.reportResultsInstantly) {
-                test.state = 'pending'
-                this.printTest(test)
-            }
+            this.format('onTestEnd', this.getTestModel(test, 'pending'), test)
+            this.updateProgress()
         })
 
         this.on('test:pass', function (test) {
             this.results[test.cid].passing++
-            this.currentTest = undefined
+            this.addCriterionResult(test.cid, 'pass')
+            delete this.currentTests[test.cid]
+            this.addJunitTest(test, 'pass')
+            this.recordAttempt(test.cid, 'pass')
 
-            if (this.config.reportResultsInstantly) {
-                test.state = 'pass'
-                this.printTest(test)
-            }
+            this.format('onTestEnd', this.getTestModel(test, 'pass'), test)
+            this.updateProgress()
         })
 
         this.on('test:fail', function (test) {
-            this.results[test.cid].failing++
-            this.currentTest = undefined
+            const state = (getHookType(test.title)) ? 'hook' : 'fail'
 
-            if (this.config.reportResultsInstantly) {
-                test.state = 'fail'
-                this.printTest(test)
-            }
+            this.results[test.cid][(state === 'hook') ? 'hooks' : 'failing']++
+            this.addCriterionResult(test.cid, state)
+            this.recordFailedTest(test)
+            delete this.currentTests[test.cid]
+            this.addJunitTest(test, state)
+            this.recordAttempt(test.cid, 'fail', this.getErrors(test))
+
+            this.format('onTestEnd', this.getTestModel(test, state), test)
+            this.updateProgress()
         })
 
         this.on('test:broken', function (test) {
-            this.results[test.cid].broken++
-            this.currentTest = undefined
+            const state = (getHookType(test.title)) ? 'hook' : 'broken'
 
-            if (this.config.reportResultsInstantly) {
-                test.state = 'broken'
-                this.printTest(test)
-            }
+            this.results[test.cid][(state === 'hook') ? 'hooks' : 'broken']++
+            this.addCriterionResult(test.cid, state)
+            this.recordFailedTest(test)
+            delete this.currentTests[test.cid]
+            this.addJunitTest(test, state)
+            const errors = this.getErrors(test)
+
+            this.recordAttempt(test.cid, 'broken', errors)
+
+            this.format('onTestEnd', this.getTestModel(test, state), test)
+            this.updateProgress()
 
-            if (this.config.reportErrorsInstantly && !test.finishedTests) {
-                this.instantReportError(test.errs[test.errs.length - 1], 'bright yellow')
+            if (!test.finishedTests) {
+                this.formatError(test.cid, 'broken', errors[errors.length - 1], test)
             }
         })
 
         this.on('test:unvalidated', function (test) {
             this.results[test.cid].unvalidated++
-            this.currentTest = undefined
+            this.addCriterionResult(test.cid, 'unvalidated')
+            this.recordFailedTest(test)
+            delete this.currentTests[test.cid]
+            this.addJunitTest(test, 'unvalidated')
 
-            if (this.config.reportResultsInstantly) {
-                test.state = 'unvalidated'
-                this.printTest(test)
-            }
+            this.format('onTestEnd', this.getTestModel(test, 'unvalidated'), test)
+            this.updateProgress()
         })
 
-        this.on('validate:failure', function (data) {
-            if (this.config.reportErrorsInstantly) {
-                const assertion = (this.config.cleanStackTraces) ? this.cleanStack(data.assertion) : data.assertion
+        /**
+         * artifacts (eg. screenshots) of the test with the given parent and title,
+         * or of the test which failed last in the runner
+         */
+        this.on('test:artifact', function (artifact) {
+            const test = (artifact.title) ? artifact : this.lastFailedTests[artifact.cid]
 
-                this.instantReportError(assertion, 'error message')
+            if (test) {
+                this.addArtifacts(artifact.cid, test, artifact.artifacts || artifact)
             }
         })
 
+        this.on('validate:failure', function (data) {
+            this.formatError(data.cid, 'validation', data.assertion, data)
+        })
+
         this.on('suite:end', function (suite) {
             this.indents[suite.cid]--
 
-            if ((this.config.consoleLogLevel === 'testcases' ||
-                this.config.consoleLogLevel === 'steps') && !this.startedSpecs) {
-                console.log()
-            }
+            this.format('onSuiteEnd', this.getSuiteModel(suite), suite)
         })
 
         this.on('runner:end', function (runner) {
-            this.printSuiteResult(runner)
+            this.runningRunners = this.runningRunners.filter((cid) => cid !== runner.cid)
+            this.finishedRunners++
+            this.normalizePendingTests(runner)
+
+            const result = this.getRunnerResult(runner)
+
+            this.runnerResults[this.getPhaseName()].push(result)
+            this.format('onRunnerEnd', Object.assign({ phase: this.getPhaseName() }, result), runner)
+
+            this.updateProgress()
         })
 
         this.on('end', function () {
             if (this.startedSpecs) {
-                this.printSuitesSummary()
+                const run = this.getRunResult()
+
+                this.format('onEnd', run)
                 this.baseReporter.writeCompleteOutput()
+
+                if (this.config.jsonResultsFile) {
+                    writeFile(this.config.jsonResultsFile, JSON.stringify(run, null, 2))
+                }
+
+                if (this.junitReport) {
+                    writeFile(this.config.junitResultsFile, this.junitReport.toXml())
+                }
+
+                if (this.config.resultsSnapshotFile) {
+                    writeFile(this.config.resultsSnapshotFile, JSON.stringify(createSnapshot(this.runnerResults, this.startTime), null, 2))
+                }
             }
         })
 
         this.on('step:start', function (step) {
+            /**
+             * secrets of all steps need to be known to hide them in later error messages
+             */
+            const arg = (this.secretMasker && step.arg) ? this.maskValue(JSON.parse(step.arg)) : undefined
+
+            if (this.traceabilityMatrix && !this.startedSpecs) {
+                const validation = parseValidation(step.title)
+                const testcase = this.currentTests[step.cid]
+
+                if (validation) {
+                    this.traceabilityMatrix.addValidation(validation, (testcase) ? testcase.id : undefined)
+                }
+            }
+
             if (step.title && !this.startedSpecs && this.config.consoleLogLevel === 'steps') {
                 this.stepIndents[step.cid]++
 
-                if (this.logStep(step)) {
-                    console.log(`${this.stepIndent(step.cid)}STEP: "${step.description}"`)
+                const logged = this.logStep(step)
 
-                    const arg = JSON.parse(step.arg)
-
-                    if (Object.keys(arg).length > 0) {
-                        const argStr = util.inspect(arg)
-                        const argLines = argStr.split('\n').map(line => this.stepIndent(step.cid) + line)
+                this.runningSteps[step.cid] = this.runningSteps[step.cid] || []
+                this.runningSteps[step.cid].push({
+                    description: this.maskText(step.description),
+                    start: Date.now(),
+                    logged
+                })
 
-                        argLines.forEach(line => console.log(this.baseReporter.color('error stack', line)))
-                    }
+                if (logged) {
+                    this.format('onStepStart', {
+                        cid: step.cid,
+                        title: step.title,
+                        description: this.maskText(step.description),
+                        arg: (this.secretMasker || !step.arg) ? arg : JSON.parse(step.arg),
+                        depth: this.stepIndents[step.cid]
+                    }, step)
                 }
             }
         })
 
         this.on('retry:failed', function (step) {
-            this.retryCount++
+            this.retryCounts[step.cid]++
+            this.recordAttempt(step.cid, 'fail', [], true)
+            this.formatRetry(step)
 
             if ((this.config.consoleLogLevel === 'testcases' || this.config.consoleLogLevel === 'steps') && !this.startedSpecs) {
                 this.stepIndents[step.cid] = 0
-                this.printTestcaseTitle(this.currentTest, this.retryCount)
+                this.runningSteps[step.cid] = []
             }
         })
 
         this.on('retry:broken', function (step) {
-            this.retryCount++
+            this.retryCounts[step.cid]++
+            this.recordAttempt(step.cid, 'broken', [step.assertion], true)
 
-            if (this.config.reportErrorsInstantly) {
-                this.instantReportError(step.assertion, 'bright yellow')
-            }
+            this.formatError(step.cid, 'broken', step.assertion, step)
+            this.formatRetry(step)
 
             if ((this.config.consoleLogLevel === 'testcases' || this.config.consoleLogLevel === 'steps') && !this.startedSpecs) {
                 this.stepIndents[step.cid] = 0
-
-                this.printTestcaseTitle(this.currentTest, this.retryCount)
+                this.runningSteps[step.cid] = []
             }
         })
 
         this.on('retry:validateFailure', function (message) {
-            if (this.config.reportErrorsInstantly) {
-                this.instantReportError(message.assertion, 'error message')
-            }
+            this.recordAttemptError(message.cid, message.assertion)
+
+            this.formatError(message.cid, 'validation', message.assertion, message)
         })
 
         this.on('step:end', function (step) {
             if (!this.startedSpecs && this.config.consoleLogLevel === 'steps') {
+                const runningStep = (this.runningSteps[step.cid] || []).pop()
+
+                if (runningStep && runningStep.logged) {
+                    const duration = Date.now() - runningStep.start
+
+                    this.stepDurations.push({
+                        cid: step.cid,
+                        testcase: (this.currentTests[step.cid]) ? this.currentTests[step.cid].id : undefined,
+                        description: runningStep.description,
+                        duration
+                    })
+
+                    this.format('onStepEnd', {
+                        cid: step.cid,
+                        description: runningStep.description,
+                        duration,
+                        depth: this.stepIndents[step.cid]
+                    }, step)
+                }
+
                 this.stepIndents[step.cid]--
             }
         })
     }
 
-    indent (cid, uid) {
-        const indents = this.suiteIndents[cid][uid]
-        return indents === 0 ? '' : Array(indents).join('    ')
-    }
-
-    stepIndent (cid, inline = 0) {
-        const indents = this.stepIndentOffset + inline + this.stepIndents[cid] * this.stepIndentWidth
-        return indents === 0 ? '' : Array(indents).join(' ')
-    }
-
+    /**
+     * Decide whether a step is printed.
+     *
+     * Steps matching one of the include patterns are always printed. Other steps are hidden
+     * if they are nested deeper than stepFilter.maxDepth, are callbacks or validations or
+     * match one of the exclude patterns.
+     */
     logStep (step) {
         const title = step.title
+        const matches = (pattern) => pattern.test(title) || pattern.test(step.description)
 
-        if (title && title !== 'Callback' && !title.startsWith('validate: {')) {
-            return true
+        if (!title) {
+            return false
         }
 
-        return false
-    }
-
-    getSymbol (state) {
-        const { symbols } = this.baseReporter
-        let symbol = '?' // in case of an unknown state
-
-        switch (state) {
-        case 'pass':
-            symbol = symbols.ok
-            break
-        case 'pending':
-            symbol = '-'
-            break
-        case 'fail':
-            this.errorCount++
-            symbol = this.errorCount + ')'
-            break
-        case 'broken':
-            this.errorCount++
-            symbol = this.errorCount + ')'
-            break
-        default:
-            this.errorCount++
-            symbol = this.errorCount + ')'
-            break
+        if (this.stepIncludes.some(matches)) {
+            return true
         }
 
-        return symbol
-    }
-
-    getColor (state) {
-        let color = null // in case of an unknown state
-
-        switch (state) {
-        case 'pass':
-        case 'passing':
-            color = 'green'
-            break
-        case 'pending':
-            color = 'pending'
-            break
-        case 'fail':
-        case 'failing':
-            color = 'fail'
-            break
-        case 'unvalidated':
-            color = 'unvalidated'
-            break
-        case 'broken':
-            color = 'broken'
-            break
+        if (this.stepFilter.maxDepth && this.stepIndents[step.cid] > this.stepFilter.maxDepth) {
+            return false
         }
 
-        return color
+        return title !== 'Callback' && !title.startsWith('validate: {') && !this.stepExcludes.some(matches)
     }
 
     getBrowserCombo (caps, verbose = true) {
-        const device = caps.deviceName
-        const browser = caps.browserName || caps.browser
-        const version = caps.version || caps.platformVersion || caps.browser_version
-        const platform = caps.os ? (caps.os + ' ' + caps.os_version) : (caps.platform || caps.platformName)
-
-        /**
-         * mobile capabilities
-         */
-        if (device) {
-            const program = (caps.app || '').replace('sauce-storage:', '') || caps.browserName
-            const executing = program ? `executing ${program}` : ''
+        return getBrowserCombo(caps, verbose)
+    }
 
-            if (!verbose) {
-                return `${device} ${platform} ${version}`
-            }
+    /**
+     * tests of a finished runner without a state were never run, they are counted as pending
+     * before the runner is handed to the formatters
+     */
+    normalizePendingTests (runner) {
+        const stats = this.baseReporter.stats
+        const results = (stats && stats.runners) ? stats.runners[runner.cid] : undefined
+        const spec = (results) ? results.specs[stats.getSpecHash(runner)] : undefined
 
-            return `${device} on ${platform} ${version} ${executing}`.trim()
+        if (!spec) {
+            return
         }
 
-        if (!verbose) {
-            return (browser + ' ' + (version || '') + ' ' + (platform || '')).trim()
-        }
+        Object.keys(spec.suites).filter((uid) => uid.indexOf('"before all"') !== 0).forEach((uid) => {
+            const tests = spec.suites[uid].tests
 
-        return browser + (version ? ` (v${version})` : '') + (platform ? ` on ${platform}` : '')
+            Object.keys(tests).filter((testUid) => tests[testUid].state === '').forEach((testUid) => {
+                tests[testUid].state = 'pending'
+                this.results[runner.cid].pending++
+                stats.counts.pending++
+            })
+        })
     }
 
-    getResultList (cid, suites, preface = '') {
-        let output = ''
-
-        for (const specUid in suites) {
-            // Remove "before all" tests from the displayed results
-            if (specUid.indexOf('"before all"') === 0) {
-                continue
-            }
-
-            const spec = suites[specUid]
-            const indent = this.indent(cid, specUid)
-            const specTitle = suites[specUid].title
+    /**
+     * remembers a failed test of a runner and the artifacts attached to it
+     */
+    recordFailedTest (test) {
+        this.lastFailedTests[test.cid] = test
+        this.addArtifacts(test.cid, test, test.artifacts)
+    }
 
-            if (specUid.indexOf('"before all"') !== 0) {
-                output += `${preface} ${indent}${specTitle}\n`
+    /**
+     * adds artifacts to a test of a runner and returns all artifacts of the test
+     *
+     * @param {String} cid
+     * @param {Object} test                    parent and title of the test
+     * @param {String|Object|Array} artifacts  paths or objects with a path and an optional name
+     * @return {Object[]}
+     */
+    addArtifacts (cid, test, artifacts = []) {
+        const key = `${cid}:${test.parent}:${test.title}`
+        const entries = this.artifacts[key] = this.artifacts[key] || []
+        const added = [].concat(artifacts).map((artifact) => normalizeArtifact(artifact))
+
+        added.forEach((artifact) => {
+            if (artifact && !entries.some((entry) => entry.path === artifact.path)) {
+                entries.push(artifact)
             }
+        })
 
-            for (const testUid in spec.tests) {
-                const test = spec.tests[testUid]
-                const testTitle = spec.tests[testUid].title
+        return entries
+    }
 
-                if (test.state === '') {
-                    this.results[cid].pending++
-                    test.state = 'pending'
-                    this.baseReporter.stats.counts.pending++;
+    /**
+     * returns the artifacts of a failure in all runners it occurred in
+     */
+    getArtifacts (test) {
+        const cids = (test.cid) ? [test.cid] : Object.keys(test.runner || {})
+        const artifacts = []
+
+        cids.forEach((cid) => {
+            this.addArtifacts(cid, test, test.artifacts).forEach((artifact) => {
+                if (artifacts.indexOf(artifact) < 0) {
+                    artifacts.push(artifact)
                 }
+            })
+        })
 
-                output += preface
-                output += '   ' + indent
-                output += this.baseReporter.color(this.getColor(test.state), this.getSymbol(test.state))
-                output += ' ' + testTitle + '\n'
-            }
+        return artifacts
+    }
 
-            output += preface.trim() + '\n'
-        }
+    getErrors (test) {
+        return (test.errs && test.errs.length > 0) ? test.errs : [test.err]
+    }
 
-        return output
+    getPhaseName () {
+        return (this.startedSpecs) ? 'specs' : 'testcases'
     }
 
-    getSummary (states, duration, preface = '') {
-        let output = ''
-        let displayedDuration = false
+    getRunnerFailures (cid) {
+        return this.baseReporter.stats.getFailures().filter((f) => f.cid === cid || Object.keys(f.runner).indexOf(cid) > -1)
+    }
 
-        for (const state in states) {
-            const testCount = states[state]
-            let testDuration = ''
+    /**
+     * passes the progress of the run to the formatters
+     */
+    updateProgress () {
+        const counts = { passing: 0, pending: 0, failing: 0, broken: 0, unvalidated: 0, hooks: 0 }
 
-            /**
-             * don't display 0 passing/pending/broken/unvalidated/failing test labels...
-             */
-            if (testCount === 0) {
-                continue
-            }
+        Object.keys(this.results).forEach((cid) => {
+            Object.keys(counts).forEach((state) => {
+                counts[state] += this.results[cid][state] || 0
+            })
+        })
 
-            /**
-             * set duration
-             */
-            if (!displayedDuration) {
-                testDuration = ' (' + this.shortEnglishHumanizer(duration, DURATION_OPTIONS) + ')'
-            }
+        this.format('onProgress', {
+            phase: this.getPhaseName(),
+            running: this.runningRunners.length,
+            finished: this.finishedRunners,
+            testcase: this.lastTestcase,
+            counts,
+            start: this.startTime.toISOString()
+        })
+    }
 
-            const printedState = (state === 'pending') ? 'skipped' : state;
+    /**
+     * collects everything known about a finished runner in a plain, serializable object
+     */
+    getRunnerResult (runner) {
+        const cid = runner.cid
+        const stats = this.baseReporter.stats
+        const results = stats.runners[cid]
+        const spec = results.specs[stats.getSpecHash(runner)]
+
+        const isHook = (uid) => uid.indexOf('"before all"') === 0
+        const getDepth = (uid) => this.suiteIndents[cid][uid] || 0
+
+        const suites = Object.keys(spec.suites).filter((uid) => !isHook(uid)).map((uid) => {
+            const suite = spec.suites[uid]
+
+            return {
+                uid,
+                title: suite.title,
+                depth: getDepth(uid),
+                tests: Object.keys(suite.tests).map((testUid) => {
+                    const test = suite.tests[testUid]
+
+                    return {
+                        uid: testUid,
+                        title: test.title,
+                        state: test.state || 'pending',
+                        duration: test._duration
+                    }
+                })
+            }
+        })
 
-            output += preface + ' '
-            output += this.baseReporter.color(this.getColor(state), testCount)
-            output += ' ' + this.baseReporter.color(this.getColor(state), printedState)
-            output += testDuration
-            output += '\n'
-            displayedDuration = true
+        /**
+         * "before all" hooks are reported as suites of their own, they are only listed if one of their tests failed
+         */
+        const failedHooks = Object.keys(spec.suites).filter((uid) => isHook(uid)).filter((uid) => {
+            const tests = spec.suites[uid].tests
+            return Object.keys(tests).some((testUid) => tests[testUid].state === 'fail' || tests[testUid].state === 'broken')
+        }).map((uid) => ({
+            uid,
+            title: spec.suites[uid].title,
+            depth: getDepth(uid)
+        }))
+
+        const failures = this.getRunnerFailures(cid).map((test) => this.getFailureResult(test))
+
+        return {
+            cid,
+            sessionID: results.sessionID,
+            capabilities: results.capabilities,
+            browser: this.getBrowserCombo(results.capabilities),
+            specs: this.specs[cid],
+            jobUrl: getJobUrl({ sessionID: results.sessionID, cid, host: (results.config || {}).host }, this.config.jobLinkTemplate),
+            duration: spec._duration,
+            counts: Object.assign({}, this.results[cid]),
+            suites,
+            failedHooks,
+            failures
         }
-
-        return output
     }
 
-    getFailureList (failures, preface) {
-        let output = ''
+    /**
+     * failures of hooks name the hook type and the suite the hook belongs to
+     */
+    getFailureResult (test) {
+        const hookType = getHookType(test.title)
+
+        return {
+            title: test.printTitle,
+            state: (test.unvalidated) ? 'unvalidated' : (hookType) ? 'hook' : (test.event || 'test:fail').replace('test:', ''),
+            hook: (hookType) ? { type: hookType, title: test.title, suite: test.parent } : undefined,
+            cids: Object.keys(test.runner),
+            artifacts: this.getArtifacts(test),
+            errors: this.getErrors(test).filter((err) => err).map((err) => this.maskError(err)).map((err) => ({
+                message: err.message,
+                stack: err.stack,
+                matcherName: err.matcherName,
+                expected: err.expected,
+                actual: err.actual
+            }))
+        }
+    }
 
-        failures.forEach((test, i) => {
-            const title = test.printTitle
-            output += `\n`
-            output += this.baseReporter.color('error title', `${(++this.failureCount)}) ${title.trim()}:`) + '\n\n'
+    getPhaseResult (phase) {
+        const runners = this.runnerResults[phase]
+        const counts = {
+            passing: 0,
+            pending: 0,
+            failing: 0,
+            broken: 0,
+            unvalidated: 0,
+            hooks: 0
+        }
 
-            const printErr = (err) => {
-                let errMessageColor = typeof err.matcherName === 'undefined' && err.stack ? 'bright yellow' : 'error message'
+        runners.forEach((runner) => {
+            for (const state in counts) {
+                counts[state] += runner.counts[state] || 0
+            }
+        })
 
-                if (test.unvalidated) {
-                    errMessageColor = 'unvalidated'
-                }
+        return { counts, runners }
+    }
 
-                err.message = err.message.trim()
+    /**
+     * collects the results of both phases in a plain, serializable object
+     */
+    getRunResult () {
+        const output = {
+            start: this.startTime.toISOString(),
+            end: new Date().toISOString(),
+            testcases: this.getPhaseResult('testcases'),
+            specs: this.getPhaseResult('specs'),
+            flakyTestcases: this.getFlakyTestcases()
+        }
 
-                const message = err.message.split(/\n/g).map((l) => `${this.baseReporter.color(errMessageColor, l)}`).join('\n')
-                output += `${message}\n`
+        if (this.traceabilityMatrix) {
+            output.traceability = this.traceabilityMatrix.getRows()
+        }
 
-                if (err.stack) {
-                    const stack = err.stack.split(/\n/g).map((l) => `${this.baseReporter.color('error stack', l)}`).join('\n')
-                    output += `${stack}\n`
-                }
+        if (this.config.slowestStepsCount) {
+            output.slowestSteps = this.getSlowestSteps(this.config.slowestStepsCount)
+        }
 
-                output += '\n'
-            }
+        /**
+         * the snapshot of the previous run is read before it is replaced by the one of this run
+         */
+        const previous = (this.config.resultsSnapshotFile) ? readSnapshot(this.config.resultsSnapshotFile) : undefined
 
-            if (test.errs && test.errs.length > 0) {
-                test.errs.forEach(function (err, j) {
-                    printErr(err)
-                })
-            } else {
-                printErr(test.err)
-            }
-        })
+        if (previous) {
+            output.changesSinceLastRun = Object.assign({ since: previous.start }, compareSnapshots(previous, createSnapshot(this.runnerResults, this.startTime)))
+        }
 
         return output
     }
 
-    getJobLink (results, preface) {
-        if (!results.config.host) {
-            return ''
+    addJunitTest (test, state) {
+        if (this.junitReport) {
+            const errors = (state === 'pass') ? [] : this.getErrors(test).map((err) => this.maskError(err))
+            const artifacts = (state === 'pass' || state === 'pending') ? [] : this.addArtifacts(test.cid, test)
+            this.junitReport.addTest(this.getPhaseName(), test, state, errors, artifacts)
         }
+    }
+
+    getSlowestSteps (count) {
+        return this.stepDurations.slice().sort((a, b) => b.duration - a.duration).slice(0, count)
+    }
 
-        let output = ''
-        if (results.config.host.indexOf('saucelabs.com') > -1) {
-            output += `${preface.trim()}\n`
-            output += `${preface} Check out job at https://saucelabs.com/tests/${results.sessionID}\n`
-            return output
+    startTestcaseHistory (test) {
+        const history = {
+            id: test.id,
+            cid: test.cid,
+            attempts: [{ errors: [] }]
         }
 
-        return output
+        this.currentHistories[test.cid] = history
+        this.testcaseHistories.push(history)
     }
 
-    printRunnerInfo (runner) {
-        const cid = runner.cid
-        const stats = this.baseReporter.stats
-        const results = stats.runners[cid]
-        const combo = this.getBrowserCombo(results.capabilities)
+    recordAttemptError (cid, err) {
+        const history = this.currentHistories[cid]
+
+        if (history && err) {
+            const masked = this.maskError(err)
+
+            history.attempts[history.attempts.length - 1].errors.push({
+                message: masked.message,
+                stack: masked.stack
+            })
+        }
+    }
 
-        let output = '\n------------------------------------------------------------------\n'
+    /**
+     * finishes the current attempt of the testcase running in a runner,
+     * retried testcases start a new attempt
+     */
+    recordAttempt (cid, outcome, errors = [], retry = false) {
+        const history = this.currentHistories[cid]
 
-        if (results.sessionID) {
-            output += this.getPhase() + `Session ID: ${results.sessionID}\n`
+        if (!history || this.startedSpecs) {
+            return
         }
 
-        if (this.startedSpecs) {
-            output += this.getPhase() + `Spec File: ${this.specs[cid]}\n`
+        errors.forEach((err) => this.recordAttemptError(cid, err))
+        history.attempts[history.attempts.length - 1].outcome = outcome
+
+        if (retry) {
+            history.attempts.push({ errors: [] })
         } else {
-            output += this.getPhase() + `Testcase File: ${this.specs[cid]}\n`
-            output += this.getPhase() + `Running: ${combo}`
+            delete this.currentHistories[cid]
         }
+    }
 
-        this.baseReporter.log(output)
+    /**
+     * testcases which passed only after being retried
+     */
+    getFlakyTestcases () {
+        return this.testcaseHistories.filter((history) => {
+            return history.attempts.length > 1 && history.attempts[history.attempts.length - 1].outcome === 'pass'
+        })
     }
 
-    printSuiteTitle (suite) {
-        let output = this.getPhase()
-        output += '\n'
-        output += this.getPhase()
-        output += this.indent(suite.cid, suite.uid)
-        output += suite.title
+    addCriterionResult (cid, state) {
+        const test = this.currentTests[cid]
 
-        this.baseReporter.log(output)
+        if (this.traceabilityMatrix && this.startedSpecs && test && state !== 'hook') {
+            this.traceabilityMatrix.addResult(test.id, state, (test.descriptions) ? test.descriptions.criteria : undefined)
+        }
     }
 
-    printTestcaseTitle (test, retry) {
-        const retryStr = (retry) ? ` (Retry ${retry})` : ''
+    /**
+     * returns a formatter for an entry of the formatters option: 'console', a formatter
+     * class which is instantiated with the reporter options and the base reporter, or a formatter object
+     */
+    createFormatter (formatter) {
+        if (formatter === 'console') {
+            return new ConsoleFormatter(this.config, this.baseReporter)
+        }
 
-        let output = `TESTCASE: "${test.id}"...${retryStr}`
+        if (typeof formatter === 'function') {
+            const FormatterClass = formatter
+            return new FormatterClass(this.config, this.baseReporter)
+        }
 
-        if (this.config.consoleLogLevel === 'steps') {
-            output = '\n' + output
+        if (!formatter || typeof formatter !== 'object') {
+            throw new Error(`Unknown formatter "${formatter}", use 'console', a formatter class or object`)
         }
 
-        console.log(this.baseReporter.color('log testcase', output))
+        return formatter
     }
 
-    printTest (test) {
-        let output = this.getPhase()
-
-        output += '   ' + this.indent(this.currentSuite.cid, this.currentSuite.uid)
-        output += this.baseReporter.color(this.getColor(test.state), this.getSymbol(test.state))
-        output += ' '
-        output += test.title
-
-        this.baseReporter.log(output)
+    /**
+     * call a lifecycle callback of all formatters
+     */
+    format (callback, model, event) {
+        this.formatters.forEach((formatter) => {
+            if (typeof formatter[callback] === 'function') {
+                formatter[callback](model, event)
+            }
+        })
     }
 
-    getPhase () {
-        if (this.startedSpecs) {
-            return '[SPEC] '
-        } else {
-            return '[TESTCASE] '
-        }
+    formatError (cid, kind, error, event) {
+        this.format('onError', { cid, phase: this.getPhaseName(), kind, error: this.maskError(error) }, event)
     }
 
-    getSuiteResult (runner) {
-        const cid = runner.cid
-        const stats = this.baseReporter.stats
-        const results = stats.runners[cid]
-        const preface = this.getPhase() // `[${this.getBrowserCombo(results.capabilities, false)} #${cid}]`
-        const specHash = stats.getSpecHash(runner)
-        const spec = results.specs[specHash]
-        const combo = this.getBrowserCombo(results.capabilities)
-        const failures = stats.getFailures().filter((f) => f.cid === cid || Object.keys(f.runner).indexOf(cid) > -1)
+    formatRetry (event) {
+        const testcase = this.currentTests[event.cid]
 
-        /**
-         * don't print anything if no specs where executed
-         */
-        if (Object.keys(spec.suites).length === 0) {
-            return ''
+        if (testcase && !this.startedSpecs) {
+            this.format('onTestcaseStart', { cid: event.cid, id: testcase.id, retry: this.retryCounts[event.cid] }, event)
         }
+    }
 
-        let output = ''
-
-        output += '------------------------------------------------------------------\n'
-
-        if (results.sessionID) {
-            output += `${preface} Session ID: ${results.sessionID}\n`
+    /**
+     * session and capabilities which are missing in the event are taken from the runner stats
+     */
+    getRunnerModel (runner) {
+        const stats = this.baseReporter.stats
+        const results = (stats && stats.runners && stats.runners[runner.cid]) || {}
+        const capabilities = runner.capabilities || results.capabilities
+
+        return {
+            cid: runner.cid,
+            phase: this.getPhaseName(),
+            specs: runner.specs,
+            sessionID: runner.sessionID || results.sessionID,
+            capabilities,
+            browser: (capabilities) ? this.getBrowserCombo(capabilities) : undefined,
+            counts: (this.results[runner.cid]) ? Object.assign({}, this.results[runner.cid]) : undefined
         }
+    }
 
-        if (this.startedSpecs) {
-            output += this.getPhase() + ` Spec File: ${this.specs[cid]}\n`
-        } else {
-            output += this.getPhase() + ` Testcase File: ${this.specs[cid]}\n`
-            output += this.getPhase() + ` Running: ${combo}\n`
+    getSuiteModel (suite) {
+        return {
+            cid: suite.cid,
+            phase: this.getPhaseName(),
+            uid: suite.uid,
+            title: suite.title,
+            depth: this.indents[suite.cid]
         }
-
-        output += `${preface}\n`
-        output += this.getResultList(cid, spec.suites, preface)
-        output += `${preface}\n`
-        output += this.getSummary(this.results[cid], spec._duration, preface)
-        output += '------------------------------------------------------------------\n'
-        output += this.getFailureList(failures, preface)
-        output += this.getJobLink(results, preface)
-        return output
     }
 
-    printSuiteResult (runner) {
-        if (!this.config.reportResultsInstantly) {
-            this.baseReporter.log(this.getSuiteResult(runner))
+    getTestModel (test, state) {
+        const errors = (state === 'pass' || state === 'pending') ? [] : this.getErrors(test).filter((err) => err).map((err) => this.maskError(err))
+
+        return {
+            cid: test.cid,
+            phase: this.getPhaseName(),
+            uid: test.uid,
+            title: test.title,
+            state,
+            duration: test.duration,
+            depth: this.indents[test.cid] || 0,
+            errors
         }
     }
 
-    printSuitesSummary () {
-        const epilogue = this.baseReporter.epilogue
-        epilogue.call(this.baseReporter)
+    maskValue (value) {
+        return (this.secretMasker) ? this.secretMasker.maskValue(value) : value
     }
 
-    cleanStack (error) {
-        let stack = error.stack.split('\n')
-        stack = stack.filter((line) => !line.match(STACKTRACE_FILTER) && line.startsWith('    at '))
-        error.stack = stack.join('\n')
-        return error
+    maskText (text) {
+        return (this.secretMasker) ? this.secretMasker.maskText(text) : text
     }
 
-    instantReportError (err, errMessageColor) {
-        let output = ''
-
-        err.message = err.message.trim()
+    /**
+     * returns a copy of the error with secrets removed from its message, stack and values
+     */
+    maskError (err) {
+        if (!this.secretMasker || !err) {
+            return err
+        }
 
-        const message = err.message.split(/\n/g).map((l) => `${this.baseReporter.color(errMessageColor, l)}`).join('\n')
-        output += `\n${message}\n`
+        const masked = Object.assign({}, err, {
+            message: this.maskText(err.message),
+            stack: this.maskText(err.stack)
+        })
 
-        if (err.stack) {
-            const stack = err.stack.split(/\n/g).map((l) => `${this.baseReporter.color('error stack', l)}`).join('\n')
-            output += `${stack}\n`
+        if ('expected' in err) {
+            masked.expected = this.maskValue(err.expected)
         }
 
-        output += '\n'
+        if ('actual' in err) {
+            masked.actual = this.maskValue(err.actual)
+        }
 
-        this.baseReporter.log(output)
+        return masked
     }
 }
 
+/**
+ * formatters are exposed on the reporter, which is the export of the package
+ */
+SpecReporter.Formatter = Formatter
+SpecReporter.ConsoleFormatter = ConsoleFormatter
+
 export default SpecReporter
@@ -0,0 +1,120 @@
+import fs from 'fs'
+
+export const PHASES = ['testcases', 'specs']
+
+/**
+ * kinds of changes between two runs, in the order they are printed
+ */
+export const CHANGES = ['newlyFailing', 'newlyBroken', 'fixed', 'newlyUnvalidated', 'added', 'removed']
+
+const FAILED_STATES = ['fail', 'broken', 'unvalidated']
+
+/**
+ * identify the browser of a runner by device or browser name and platform, leaving out versions
+ * so that browser updates don't turn every test into a removed and an added one
+ *
+ * @param {Object} capabilities
+ * @return {String}
+ */
+export function getBrowserIdentity (capabilities = {}) {
+    const browser = capabilities.deviceName || capabilities.browserName || capabilities.browser
+    const platform = capabilities.os || capabilities.platform || capabilities.platformName
+
+    return [browser, platform].filter((value) => value).join(' ')
+}
+
+/**
+ * reduce the runner results of both phases to the state of each test
+ *
+ * @param {Object} runnerResults  runner results per phase, see SpecReporter#getRunnerResult
+ * @param {Date} start
+ * @return {Object}
+ */
+export function createSnapshot (runnerResults, start) {
+    const snapshot = { start: start.toISOString() }
+
+    PHASES.forEach((phase) => {
+        snapshot[phase] = {}
+
+        runnerResults[phase].forEach((runner) => {
+            const browser = getBrowserIdentity(runner.capabilities)
+
+            runner.suites.forEach((suite) => {
+                suite.tests.forEach((test) => {
+                    snapshot[phase][`${suite.title} › ${test.title} (${browser})`] = test.state
+                })
+            })
+        })
+    })
+
+    return snapshot
+}
+
+/**
+ * @param {String} filePath
+ * @return {Object}  undefined if there is no readable snapshot
+ */
+export function readSnapshot (filePath) {
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'))
+    } catch (e) {
+        return undefined
+    }
+}
+
+function getChange (previousState, state) {
+    if (typeof previousState === 'undefined') {
+        return 'added'
+    }
+
+    if (typeof state === 'undefined') {
+        return 'removed'
+    }
+
+    if (previousState === state) {
+        return
+    }
+
+    switch (state) {
+    case 'fail':
+        return 'newlyFailing'
+    case 'broken':
+        return 'newlyBroken'
+    case 'unvalidated':
+        return 'newlyUnvalidated'
+    case 'pass':
+        return (FAILED_STATES.indexOf(previousState) > -1) ? 'fixed' : undefined
+    }
+}
+
+/**
+ * list the tests of each phase whose state changed between two snapshots
+ *
+ * @param {Object} previous
+ * @param {Object} current
+ * @return {Object}  the keys of the changed tests per phase and kind of change
+ */
+export function compareSnapshots (previous, current) {
+    const changes = {}
+
+    PHASES.forEach((phase) => {
+        const previousTests = previous[phase] || {}
+        const currentTests = current[phase] || {}
+        const keys = Object.keys(currentTests).concat(Object.keys(previousTests).filter((key) => !(key in currentTests)))
+
+        changes[phase] = {}
+        CHANGES.forEach((change) => {
+            changes[phase][change] = []
+        })
+
+        keys.forEach((key) => {
+            const change = getChange(previousTests[key], currentTests[key])
+
+            if (change) {
+                changes[phase][change].push(key)
+            }
+        })
+    })
+
+    return changes
+}
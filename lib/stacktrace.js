@@ -0,0 +1,65 @@
+import { formatLabel, LOCALES } from './locales'
+
+/**
+ * frames of wdio and third party modules which are always removed from cleaned stacks
+ */
+export const STACKTRACE_FILTER = /(node_modules(\/|\\)(\w+)*|wdio-sync\/build|- - - - -)/
+
+const FRAME = /^\s*at /
+
+export function toRegExps (patterns = []) {
+    return [].concat(patterns).map((pattern) => (pattern instanceof RegExp) ? pattern : new RegExp(pattern))
+}
+
+/**
+ * Remove unwanted lines from a stack trace.
+ *
+ * The lines preceding the first frame repeat the error message and are dropped. Frames
+ * matching an exclude pattern (or the default filter) are dropped unless they match an
+ * include pattern. Other lines between frames are kept.
+ *
+ * @param {String} stack
+ * @param {Object} options  include and exclude patterns (strings or RegExps), maxFrames and
+ *                          the label moreFrames
+ * @return {String}
+ */
+export function filterStack (stack, options = {}) {
+    const labels = Object.assign({}, LOCALES.en.labels, options.labels)
+    const include = toRegExps(options.include)
+    const exclude = [STACKTRACE_FILTER].concat(toRegExps(options.exclude))
+    const lines = []
+    let seenFrame = false
+    let frames = 0
+    let skippedFrames = 0
+
+    stack.split('\n').forEach((line) => {
+        const isFrame = FRAME.test(line)
+
+        seenFrame = seenFrame || isFrame
+
+        if (!seenFrame) {
+            return
+        }
+
+        const included = include.some((pattern) => pattern.test(line))
+
+        if (!included && exclude.some((pattern) => pattern.test(line))) {
+            return
+        }
+
+        if (options.maxFrames && frames >= options.maxFrames) {
+            skippedFrames += (isFrame) ? 1 : 0
+            return
+        }
+
+        frames += (isFrame) ? 1 : 0
+
+        lines.push(line)
+    })
+
+    if (skippedFrames > 0) {
+        lines.push('    ' + formatLabel(labels.moreFrames, { count: skippedFrames }))
+    }
+
+    return lines.join('\n')
+}
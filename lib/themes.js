@@ -0,0 +1,74 @@
+/**
+ * Themes remap the colors (names of the base reporter's colors or ansi codes) and
+ * symbols the reporter uses for each state. Failure symbols may contain a {n}
+ * placeholder for the number of the failure.
+ */
+export const THEMES = {
+    default: {
+        colors: {},
+        symbols: {}
+    },
+    colorblind: {
+        colors: {
+            pass: 34,
+            pending: 90,
+            fail: 33,
+            broken: 35,
+            unvalidated: 36,
+            'error message': 33,
+            'diff added': 34,
+            'diff removed': 33
+        },
+        symbols: {
+            pass: '✓',
+            pending: '-',
+            fail: '✖ {n})',
+            broken: '! {n})',
+            unvalidated: '? {n})',
+            hook: '# {n})'
+        }
+    }
+}
+
+/**
+ * merge a theme with the preset it is based on
+ *
+ * @param {String|Object} theme  name of a preset or an object with an optional preset, colors and symbols
+ * @return {Object}              colors and symbols of the theme
+ */
+export function resolveTheme (theme = 'default') {
+    if (typeof theme === 'string') {
+        theme = { preset: theme }
+    }
+
+    const preset = THEMES[theme.preset || 'default']
+
+    if (!preset) {
+        throw new Error(`Unknown theme preset "${theme.preset}", use one of ${Object.keys(THEMES).join(', ')}`)
+    }
+
+    return {
+        colors: Object.assign({}, preset.colors, theme.colors),
+        symbols: Object.assign({}, preset.symbols, theme.symbols)
+    }
+}
+
+/**
+ * colors are used if enabled explicitly or if the output is a terminal and NO_COLOR is not set
+ *
+ * @param {Boolean} setting  colors option of the reporter
+ * @param {Object} stream
+ * @param {Object} env
+ * @return {Boolean}
+ */
+export function shouldUseColors (setting, stream = process.stdout, env = process.env) {
+    if (typeof setting === 'boolean') {
+        return setting
+    }
+
+    return !env.NO_COLOR && Boolean(stream.isTTY)
+}
+
+export function stripColors (str) {
+    return String(str).replace(/\u001b\[[\d;]*m/g, '')
+}
@@ -0,0 +1,104 @@
+const VALIDATION_PREFIX = 'validate: '
+
+/**
+ * states of tests and criteria, from best to worst
+ */
+export const STATES = ['pass', 'pending', 'unvalidated', 'fail', 'broken']
+
+/**
+ * read the validated criteria of each spec from the title of a validation step,
+ * eg. `validate: {"1.1":[1,2]}`
+ *
+ * @param {String} title
+ * @return {Object}  criteria per spec, undefined if the step is no validation
+ */
+export function parseValidation (title) {
+    if (!title || title.indexOf(VALIDATION_PREFIX) !== 0) {
+        return
+    }
+
+    let validation
+
+    try {
+        validation = JSON.parse(title.substr(VALIDATION_PREFIX.length))
+    } catch (e) {
+        return
+    }
+
+    const criteria = {}
+
+    Object.keys(validation).forEach((spec) => {
+        criteria[spec] = [].concat(validation[spec]).map(String)
+    })
+
+    return criteria
+}
+
+/**
+ * Relates the spec criteria to the testcases which validated them and to the
+ * results of the criteria in the spec phase.
+ */
+class TraceabilityMatrix {
+    constructor () {
+        this.criteria = {}
+    }
+
+    getCriterion (spec, criteria) {
+        const key = `${spec}|${criteria}`
+
+        if (!this.criteria[key]) {
+            this.criteria[key] = { spec, criteria, description: undefined, testcases: [], state: undefined }
+        }
+
+        return this.criteria[key]
+    }
+
+    addValidation (validation, testcase) {
+        Object.keys(validation).forEach((spec) => {
+            validation[spec].forEach((criteria) => {
+                const criterion = this.getCriterion(spec, criteria)
+
+                if (testcase && criterion.testcases.indexOf(testcase) < 0) {
+                    criterion.testcases.push(testcase)
+                }
+            })
+        })
+    }
+
+    /**
+     * record the result of a criterion in the spec phase, the worst result of all
+     * runners is kept
+     *
+     * @param {String} id           `spec|criteria` as set by workflo in the spec phase
+     * @param {String} state
+     * @param {String} description
+     */
+    addResult (id, state, description) {
+        const [spec, criteria] = id.split('|')
+
+        if (typeof criteria === 'undefined') {
+            return
+        }
+
+        const criterion = this.getCriterion(spec, criteria)
+
+        criterion.description = criterion.description || description
+
+        if (!criterion.state || STATES.indexOf(state) > STATES.indexOf(criterion.state)) {
+            criterion.state = state
+        }
+    }
+
+    /**
+     * @return {Array} all criteria, sorted by spec and criteria
+     */
+    getRows () {
+        const compare = (a, b) => a.localeCompare(b, undefined, { numeric: true })
+
+        return Object.keys(this.criteria).map((key) => this.criteria[key]).sort((a, b) => {
+            return compare(a.spec, b.spec) || compare(a.criteria, b.criteria)
+        })
+    }
+}
+
+export default TraceabilityMatrix
@@ -0,0 +1,27 @@
+import fs from 'fs'
+import path from 'path'
+
+/**
+ * create a directory and all of its missing parents
+ *
+ * @param {String} dir
+ */
+export function mkdirs (dir) {
+    if (fs.existsSync(dir)) {
+        return
+    }
+
+    mkdirs(path.dirname(dir))
+    fs.mkdirSync(dir)
+}
+
+/**
+ * write a file, creating its parent directories if necessary
+ *
+ * @param {String} filePath
+ * @param {String} content
+ */
+export function writeFile (filePath, content) {
+    mkdirs(path.dirname(path.resolve(filePath)))
+    fs.writeFileSync(filePath, content, 'utf8')
+}
@@ -0,0 +1,35 @@
+import path from 'path'
+import { formatArtifactPath, normalizeArtifact } from '../lib/artifacts'
+
+describe('artifacts', () => {
+    describe('normalizeArtifact', () => {
+        it('should accept paths', () => {
+            normalizeArtifact('screenshots/login.png').should.eql({
+                name: 'login.png',
+                path: path.resolve('screenshots/login.png')
+            })
+        })
+
+        it('should keep the name of an artifact', () => {
+            normalizeArtifact({ name: 'page source', path: '/tmp/login.html' }).should.eql({
+                name: 'page source',
+                path: '/tmp/login.html'
+            })
+        })
+
+        it('should ignore artifacts without a path', () => {
+            [undefined, '', {}, { name: 'screenshot' }].map((artifact) => normalizeArtifact(artifact))
+                .should.eql([undefined, undefined, undefined, undefined])
+        })
+    })
+
+    describe('formatArtifactPath', () => {
+        it('should return a path relative to the working directory', () => {
+            formatArtifactPath('/project/screenshots/login.png', false, '/project').should.be.equal('screenshots/login.png')
+        })
+
+        it('should return a file link', () => {
+            formatArtifactPath('/project/screenshots/log in.png', true).should.be.equal('file:///project/screenshots/log%20in.png')
+        })
+    })
+})
@@ -0,0 +1,79 @@
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { SourceMapGenerator } from 'source-map'
+
+import { parseFrame, findUserFrame, getCodeFrame } from '../lib/codeframe'
+
+describe('code frame', () => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'codeframe-'))
+    const source = path.join(root, 'login.js')
+    const compiled = path.join(root, 'build', 'login.js')
+
+    before(() => {
+        fs.writeFileSync(source, ['function login () {', '    open()', '    submit()', '}', ''].join('\n'))
+
+        const map = new SourceMapGenerator({ file: 'login.js' })
+        map.addMapping({ generated: { line: 1, column: 4 }, original: { line: 3, column: 4 }, source: '../login.js' })
+
+        fs.mkdirSync(path.dirname(compiled))
+        fs.writeFileSync(compiled, [
+            'submit()',
+            '//# sourceMappingURL=data:application/json;base64,' + Buffer.from(map.toString()).toString('base64')
+        ].join('\n'))
+    })
+
+    after(() => {
+        fs.unlinkSync(compiled)
+        fs.rmdirSync(path.dirname(compiled))
+        fs.unlinkSync(source)
+        fs.rmdirSync(root)
+    })
+
+    describe('parseFrame', () => {
+        it('should parse frames with and without function names', () => {
+            parseFrame('    at Login.submit (/project/login.js:3:5)').should.eql({ file: '/project/login.js', line: 3, column: 5 })
+            parseFrame('    at /project/login.js:3:5').should.eql({ file: '/project/login.js', line: 3, column: 5 });
+            (typeof parseFrame('Error: Ooops')).should.be.equal('undefined')
+        })
+    })
+
+    describe('findUserFrame', () => {
+        it('should skip filtered frames and frames outside of the project', () => {
+            const stack = [
+                'Error: Ooops',
+                `    at callFn (${root}/node_modules/mocha/runnable.js:1:1)`,
+                '    at /somewhere/else.js:1:1',
+                `    at login (${source}:3:5)`
+            ].join('\n')
+
+            findUserFrame(stack, { root }).should.eql({ file: source, line: 3, column: 5 })
+        })
+    })
+
+    describe('getCodeFrame', () => {
+        it('should return the lines surrounding the failing line', () => {
+            getCodeFrame(`Error: Ooops\n    at login (${source}:3:5)`, { root, contextLines: 1 }).should.eql({
+                file: source,
+                line: 3,
+                column: 5,
+                lines: [
+                    { number: 2, text: '    open()', marked: false },
+                    { number: 3, text: '    submit()', marked: true },
+                    { number: 4, text: '}', marked: false }
+                ]
+            })
+        })
+
+        it('should respect source maps', () => {
+            const frame = getCodeFrame(`Error: Ooops\n    at login (${compiled}:1:5)`, { root, contextLines: 0 })
+
+            frame.file.should.be.equal(source)
+            frame.lines.should.eql([{ number: 3, text: '    submit()', marked: true }])
+        })
+
+        it('should return nothing if no project frame exists', () => {
+            (typeof getCodeFrame('Error: Ooops\n    at /somewhere/else.js:1:1', { root })).should.be.equal('undefined')
+        })
+    })
+})
@@ -0,0 +1,523 @@
+import path from 'path'
+import sinon from 'sinon'
+import ConsoleFormatter from '../lib/consoleformatter'
+import {
+    COLORS, RUNNER, RESULTLIST, SUMMARY, ERRORS, ERRORLIST,
+    ERRORS_NO_STACK, ERRORLIST_NO_STACK, SUITERESULT, JOBLINKRESULT, SUITES_SUMMARY
+} from './fixtures'
+
+const baseReporter = {
+    symbols: {
+        ok: '✓',
+        err: '✖',
+        dot: '․',
+        error: 'F'
+    },
+    color (type, str) {
+        return `\u001b[${COLORS[type]}m${str}\u001b[0m`
+    }
+}
+
+/**
+ * a console formatter printing to a spy instead of the base reporter's log
+ */
+const createFormatter = (config) => new ConsoleFormatter(config, Object.assign({}, baseReporter, { log: sinon.spy() }))
+
+/**
+ * a run with the given runner results of both phases
+ */
+const createRun = (testcases = [], specs = []) => {
+    const getCounts = (runners) => runners.reduce((counts, runner) => {
+        Object.keys(runner.counts).forEach((state) => {
+            counts[state] = (counts[state] || 0) + runner.counts[state]
+        })
+
+        return counts
+    }, {})
+
+    return {
+        testcases: { counts: getCounts(testcases), runners: testcases },
+        specs: { counts: getCounts(specs), runners: specs }
+    }
+}
+
+describe('console formatter', () => {
+    describe('indent', () => {
+        const formatter = createFormatter({ colors: true })
+
+        it('should return nothing if indent is 1', () => {
+            formatter.indent(1).should.be.equal('')
+        })
+
+        it('should return correct indent', () => {
+            formatter.indent(3).should.be.equal('        ')
+        })
+    })
+
+    describe('getSymbol', () => {
+        it('should return the right symbol', () => {
+            const formatter = createFormatter({ colors: true })
+
+            formatter.getSymbol('pass').should.be.equal('✓')
+            formatter.getSymbol('pending').should.be.equal('-')
+
+            formatter.errorCount = 23
+            formatter.getSymbol('fail').should.be.equal('24)')
+        })
+    })
+
+    describe('getColor', () => {
+        it('should return the right symbol', () => {
+            const formatter = createFormatter({ colors: true })
+
+            formatter.getColor('pass').should.be.equal('green')
+            formatter.getColor('passing').should.be.equal('green')
+            formatter.getColor('pending').should.be.equal('pending')
+            formatter.getColor('fail').should.be.equal('fail')
+            formatter.getColor('failing').should.be.equal('fail');
+            (formatter.getColor('foobar') === null).should.be.true()
+        })
+    })
+
+    describe('themes', () => {
+        it('should remap colors and symbols of states', () => {
+            const formatter = createFormatter({
+                colors: true,
+                theme: { preset: 'colorblind', symbols: { pass: '+' } }
+            })
+
+            formatter.getSymbol('pass').should.be.equal('+')
+            formatter.getSymbol('broken').should.be.equal('! 1)')
+            formatter.color(formatter.getColor('pass'), 'ok').should.be.equal('\u001b[34mok\u001b[0m')
+            formatter.color('error stack', 'at x').should.be.equal('\u001b[90mat x\u001b[0m')
+        })
+
+        it('should print plain text if colors are disabled', () => {
+            createFormatter({ colors: false }).color('fail', 'Ooops').should.be.equal('Ooops')
+        })
+    })
+
+    describe('getResultList', () => {
+        it('return a correct result list', () => {
+            const formatter = createFormatter({ colors: true })
+
+            formatter.errorCount = 27
+            formatter.getResultList(RUNNER, 'kuckkuck> ').should.be.equal(RESULTLIST)
+        })
+    })
+
+    describe('result list modes', () => {
+        const runner = Object.assign({}, RUNNER, {
+            suites: [
+                { title: 'login', depth: 1, tests: [{ title: 'passes', state: 'pass' }, { title: 'fails', state: 'fail' }] },
+                { title: 'logout', depth: 1, tests: [{ title: 'passes', state: 'pass' }, { title: 'redirects', state: 'pass' }] }
+            ]
+        })
+
+        it('should only list suites with tests which did not pass', () => {
+            createFormatter({ colors: false, resultList: 'failures' }).getResultList(runner, '[TESTCASE]').should.be.equal(
+                '[TESTCASE] login\n' +
+                '[TESTCASE]   ✓ passes\n' +
+                '[TESTCASE]   1) fails\n' +
+                '[TESTCASE]\n' +
+                '[TESTCASE] 2 passing tests hidden\n'
+            )
+        })
+
+        it('should not list any tests if collapsed', () => {
+            createFormatter({ colors: false, resultList: 'collapsed' }).getResultList(runner, '[TESTCASE]').should.be.equal('')
+        })
+    })
+
+    describe('hook failures', () => {
+        it('should summarize failed hooks separately', () => {
+            createFormatter({ colors: false }).getSummary({ passing: 1, hooks: 1 }, 1000, '[TESTCASE]').should.be.equal(
+                '[TESTCASE] 1 passing (1s)\n' +
+                '[TESTCASE] 1 failing hooks\n'
+            )
+        })
+
+        it('should list failed hooks with their own symbol', () => {
+            const runner = Object.assign({}, RUNNER, {
+                failedHooks: [{ uid: '"before all" hook', title: '"before all" hook', depth: 0 }],
+                suites: [{
+                    title: 'login',
+                    depth: 1,
+                    tests: [{ title: 'passes', state: 'pass' }, { title: '"after each" hook for "passes"', state: 'fail' }]
+                }]
+            })
+
+            createFormatter({ colors: false }).getResultList(runner, '[TESTCASE]').should.be.equal(
+                '[TESTCASE]   ⚠ 1) "before all" hook\n' +
+                '[TESTCASE]\n' +
+                '[TESTCASE] login\n' +
+                '[TESTCASE]   ✓ passes\n' +
+                '[TESTCASE]   ⚠ 2) "after each" hook for "passes"\n' +
+                '[TESTCASE]\n'
+            )
+        })
+
+        it('should title failures with the hook type and suite', () => {
+            const formatter = createFormatter({ colors: false })
+
+            formatter.getFailureTitle({ title: 'login "before each" hook', hook: { type: 'before each', title: '"before each" hook', suite: 'login' } })
+                .should.be.equal('before each hook in "login" › "before each" hook')
+            formatter.getFailureTitle({ title: '"before all" hook', hook: { type: 'before all', title: '"before all" hook' } })
+                .should.be.equal('before all hook › "before all" hook')
+            formatter.getFailureTitle({ title: 'login fails' }).should.be.equal('login fails')
+        })
+    })
+
+    describe('slow tests', () => {
+        const formatter = createFormatter({
+            slowTestThreshold: 10000,
+            verySlowTestThreshold: 60000,
+            slowestTestsCount: 2,
+            colors: true
+        })
+
+        it('should only label tests exceeding the slow threshold', () => {
+            formatter.getDurationLabel(9000).should.be.equal('')
+            formatter.getDurationLabel(12000).should.be.equal(' \u001b[33m(12s)\u001b[0m')
+            formatter.getDurationLabel(75000).should.be.equal(' \u001b[31m(1m, 15s)\u001b[0m')
+        })
+
+        it('should list the slowest tests of a runner', () => {
+            formatter.getSlowestTests([{
+                title: 'login',
+                depth: 1,
+                tests: [
+                    { title: 'fast', state: 'pass', duration: 2000 },
+                    { title: 'slow', state: 'fail', duration: 30000 },
+                    { title: 'skipped', state: 'pending', duration: 50000 },
+                    { title: 'medium', state: 'pass', duration: 12000 }
+                ]
+            }], 'kuckkuck> ').should.be.equal(
+                'kuckkuck> \n' +
+                'kuckkuck>  Slowest tests:\n' +
+                'kuckkuck>    \u001b[33m30s\u001b[0m login slow\n' +
+                'kuckkuck>    \u001b[33m12s\u001b[0m login medium\n'
+            )
+        })
+
+        it('should label tests in the result list with the same duration', () => {
+            formatter.getResultList(Object.assign({}, RUNNER, {
+                suites: [{ title: 'login', depth: 1, tests: [{ title: 'slow', state: 'pass', duration: 30000 }] }]
+            }), 'kuckkuck>').should.containEql('slow \u001b[33m(30s)\u001b[0m\n')
+        })
+    })
+
+    describe('getSummary', () => {
+        const formatter = createFormatter({ colors: true })
+
+        it('should return correct summary', () => {
+            formatter.getSummary({
+                passing: 3,
+                pending: 1,
+                failing: 2
+            }, 139000, 'kuckkuck> ').should.be.equal(SUMMARY)
+        })
+
+        it('should skip if the count is zero', () => {
+            formatter.getSummary({
+                passing: 0
+            }, 139000, 'kuckkuck> ').should.be.equal('')
+        })
+    })
+
+    describe('getFailureList', () => {
+        it('should return correct failure list', () => {
+            createFormatter({ colors: true }).getFailureList(ERRORS).should.be.equal(ERRORLIST)
+        })
+
+        it('should handle error messages without a stack trace correctly', () => {
+            createFormatter({ colors: true }).getFailureList(ERRORS_NO_STACK).should.be.equal(ERRORLIST_NO_STACK)
+        })
+
+        it('should list the artifacts of a failure', () => {
+            const failure = {
+                title: 'login fails',
+                state: 'fail',
+                errors: [{ message: 'Ooops' }],
+                artifacts: [{ name: 'login.png', path: 'screenshots/login.png' }]
+            }
+
+            createFormatter({ colors: false }).getFailureList([failure]).should.be.equal(
+                '\n1) login fails:\n\n' +
+                'Ooops\n\n' +
+                'Artifacts:\n' +
+                '- login.png: screenshots/login.png\n\n'
+            )
+        })
+
+        it('should print file links', () => {
+            createFormatter({ artifactLinks: true }).getArtifactList([{ name: 'login.png', path: path.resolve('screenshots/login.png') }]).should.containEql(
+                `- login.png: file://${path.resolve('screenshots/login.png')}\n`
+            )
+        })
+
+        it('should print errors without a message', () => {
+            createFormatter({ colors: true }).getErrorOutput({}).should.be.equal('\u001b[31m\u001b[0m\n\n')
+        })
+
+        it('should not change the errors it prints', () => {
+            const err = { message: ' Ooops\n', stack: 'at x' }
+
+            createFormatter({ colors: false, cleanStackTraces: true }).getErrorOutput(err)
+            err.should.eql({ message: ' Ooops\n', stack: 'at x' })
+        })
+    })
+
+    describe('getErrorDiff', () => {
+        const formatter = createFormatter({ errorDiffs: true, colors: true })
+
+        it('should return nothing if the error carries no values', () => {
+            formatter.getErrorDiff({ message: 'Ooops' }).should.be.equal('')
+            createFormatter({ colors: true }).getErrorDiff({ message: 'Ooops', expected: 1, actual: 2 }).should.be.equal('')
+        })
+
+        it('should render an inline diff of single line values', () => {
+            formatter.getErrorDiff({ message: 'Ooops', expected: 'foo bar', actual: 'foo baz' }).should.be.equal(
+                '\n\u001b[32m+ expected\u001b[0m \u001b[31m- actual\u001b[0m\n\n' +
+                'foo \u001b[31mbaz\u001b[0m\u001b[32mbar\u001b[0m\n\n'
+            )
+        })
+
+        it('should render a line diff of objects', () => {
+            formatter.getErrorDiff({ message: 'Ooops', expected: { a: 1 }, actual: { a: 2 } }).should.be.equal(
+                '\n\u001b[32m+ expected\u001b[0m \u001b[31m- actual\u001b[0m\n\n' +
+                '\u001b[90m {\u001b[0m\n' +
+                '\u001b[31m-  "a": 2\u001b[0m\n' +
+                '\u001b[32m+  "a": 1\u001b[0m\n' +
+                '\u001b[90m }\u001b[0m\n\n'
+            )
+        })
+    })
+
+    describe('getGroupedFailureList', () => {
+        it('should print each unique failure once with the affected tests', () => {
+            const formatter = createFormatter({ groupFailures: true, colors: true })
+
+            formatter.onRunnerStart({ cid: '22', phase: 'testcases', specs: [], capabilities: { browserName: 'phantomjs' } })
+            formatter.getGroupedFailureList([{
+                error: { message: 'Ooops' },
+                state: 'broken',
+                tests: [{ title: 'login', cids: ['22'] }, { title: 'logout', cids: ['22', '23'] }]
+            }]).should.be.equal(
+                '\n\u001b[0m1) 2 tests failed with:\u001b[0m\n\n' +
+                '\u001b[31mOoops\u001b[0m\n\n' +
+                '  - login \u001b[90m[22 phantomjs]\u001b[0m\n' +
+                '  - logout \u001b[90m[22 phantomjs, 23]\u001b[0m\n'
+            )
+        })
+    })
+
+    describe('getJobLink', () => {
+        const formatter = createFormatter({ colors: true })
+
+        it('should return nothing without a job url', () => {
+            formatter.getJobLink(undefined, 'kuckkuck> ').should.be.equal('')
+        })
+
+        it('should display the job link', () => {
+            formatter.getJobLink('https://saucelabs.com/tests/12345-12345-12345', 'kuckkuck> ').should.be.equal(JOBLINKRESULT)
+        })
+    })
+
+    describe('printSuiteResult', () => {
+        it('should print correct suite result', () => {
+            const formatter = createFormatter({ colors: true })
+
+            formatter.getResultList = () => ''
+            formatter.getSummary = () => ''
+            formatter.getFailureList = () => ''
+            formatter.getJobLink = () => ''
+
+            formatter.printSuiteResult(RUNNER)
+            formatter.baseReporter.log.calledWith(SUITERESULT).should.be.ok()
+        })
+
+        it('should not print anything if no spec got executed', () => {
+            const formatter = createFormatter({ colors: true })
+
+            formatter.printSuiteResult(Object.assign({}, RUNNER, { suites: [] }))
+            formatter.baseReporter.log.calledWith('').should.be.ok()
+        })
+    })
+
+    describe('printSuitesSummary', () => {
+        const runner = (duration, counts) => ({ duration, counts, failures: [] })
+
+        it('should print the totals of both phases and add them to the log files', () => {
+            const formatter = createFormatter({ colors: false })
+
+            formatter.outputLog = { write: sinon.spy() }
+            formatter.printSuitesSummary(createRun([runner(2000, { passing: 2, failing: 1 })], [runner(1000, { passing: 1, unvalidated: 1 })]))
+
+            const summary = '==================================================================\n' +
+                '[TESTCASE] 2 passing (2s)\n' +
+                '[TESTCASE] 1 failing\n' +
+                '[SPEC] 1 passing (1s)\n' +
+                '[SPEC] 1 unvalidated\n'
+
+            formatter.baseReporter.log.firstCall.args[0].should.be.equal(summary)
+            formatter.outputLog.write.firstCall.args[0].should.be.equal(summary)
+        })
+
+        it('should print the duration of the longest runner of each phase', () => {
+            const formatter = createFormatter({ colors: true })
+
+            formatter.printSuitesSummary(createRun(
+                [runner(2000, { passing: 1, failing: 1 }), runner(1000, { passing: 1 })],
+                [runner(1000, { passing: 2 }), runner(500, { passing: 1 })]
+            ))
+            formatter.baseReporter.log.firstCall.args[0].should.be.equal(SUITES_SUMMARY)
+        })
+
+        it('should color the totals with the theme', () => {
+            const formatter = createFormatter({ colors: true, theme: 'colorblind' })
+
+            formatter.printSuitesSummary(createRun([runner(2000, { passing: 2, failing: 1 })]))
+            formatter.baseReporter.log.firstCall.args[0].should.containEql('[TESTCASE] \u001b[34m2\u001b[0m \u001b[34mpassing\u001b[0m (2s)')
+        })
+
+        it('should not print a summary if no runner finished', () => {
+            const formatter = createFormatter({ colors: true })
+
+            formatter.printSuitesSummary(createRun())
+            formatter.baseReporter.log.callCount.should.be.equal(0)
+        })
+    })
+
+    describe('traceability', () => {
+        it('should list the testcases and the spec result of each criterion', () => {
+            createFormatter({ colors: true, theme: { colors: { unvalidated: 36 } } }).getTraceability([
+                { spec: 'Login', criteria: '1', description: 'shows the form', state: 'pass', testcases: ['login'] },
+                { spec: 'Login', criteria: '2', testcases: [] }
+            ]).should.be.equal(
+                '\nLogin 1 "shows the form": \u001b[32mpassed\u001b[0m\n' +
+                '\u001b[90m   validated by login\u001b[0m\n' +
+                '\nLogin 2: \u001b[36munvalidated\u001b[0m\n' +
+                '\u001b[90m   not validated by any testcase\u001b[0m\n'
+            )
+        })
+    })
+
+    describe('progress', () => {
+        let clock
+
+        beforeEach(() => {
+            clock = sinon.useFakeTimers()
+        })
+
+        afterEach(() => {
+            clock.restore()
+        })
+
+        it('should only be shown on terminals without instant output', () => {
+            createFormatter({}).shouldShowProgress({ isTTY: true }).should.be.true()
+            createFormatter({}).shouldShowProgress({}).should.be.false()
+            createFormatter({ progress: false }).shouldShowProgress({ isTTY: true }).should.be.false()
+            createFormatter({ reportResultsInstantly: true }).shouldShowProgress({ isTTY: true }).should.be.false()
+            createFormatter({ consoleLogLevel: 'steps' }).shouldShowProgress({ isTTY: true }).should.be.false()
+        })
+
+        it('should summarize runners, results and the current testcase', () => {
+            clock.tick(65000)
+
+            createFormatter({}).getProgressStatus({
+                phase: 'testcases',
+                running: 2,
+                finished: 0,
+                testcase: 'logout',
+                counts: { passing: 1, pending: 0, failing: 1, broken: 0, unvalidated: 0, hooks: 0 },
+                start: new Date(0).toISOString()
+            }).should.be.equal('[TESTCASE] 2 running, 0 finished | 1 passing, 1 failing | logout | 1m, 5s')
+        })
+    })
+
+    describe('changes since last run', () => {
+        const changes = (testcases = {}) => ({
+            testcases: Object.assign({ newlyFailing: [], newlyBroken: [], fixed: [], newlyUnvalidated: [], added: [], removed: [] }, testcases),
+            specs: { newlyFailing: [], newlyBroken: [], fixed: [], newlyUnvalidated: [], added: [], removed: [] }
+        })
+
+        it('should list the tests whose state changed', () => {
+            const formatter = createFormatter({ colors: true })
+
+            formatter.getChangesSinceLastRun(changes({ newlyFailing: ['login › fails (chrome)'] }))
+                .should.be.equal('\n[TESTCASE] newly failing:\n\u001b[31m   login › fails (chrome)\u001b[0m\n')
+            formatter.getChangesSinceLastRun(changes()).should.be.equal('\nNo changes\n')
+        })
+
+        it('should print the start of the previous run', () => {
+            const formatter = createFormatter({ colors: false })
+
+            formatter.printChangesSinceLastRun(Object.assign({ since: '1970-01-01T00:00:00.000Z' }, changes()))
+            formatter.baseReporter.log.firstCall.args[0].should.containEql('Changes since last run (1970-01-01T00:00:00.000Z):\n')
+        })
+    })
+
+    describe('locale', () => {
+        const formatter = createFormatter({ colors: false, locale: 'de', cleanStackTraces: { maxFrames: 1 } })
+
+        it('should translate labels and durations', () => {
+            formatter.getPhase('testcases').should.be.equal('[TESTFALL] ')
+            formatter.getSummary({ pending: 2 }, 65000).should.be.equal(' 2 übersprungen (1min, 5s)\n')
+        })
+
+        it('should translate the marker of skipped stack frames', () => {
+            formatter.cleanStack({ message: 'failed', stack: 'Error: failed\n    at a (a.js:1:1)\n    at b (b.js:1:1)' }).stack
+                .should.be.equal('    at a (a.js:1:1)\n    ... 1 weitere')
+        })
+
+        it('should print the attempt outcomes of flaky testcases', () => {
+            formatter.printFlakyTestcases([{
+                id: 'login',
+                cid: '0-0',
+                attempts: [{ outcome: 'fail', errors: [] }, { outcome: 'pass', errors: [] }]
+            }])
+
+            formatter.baseReporter.log.firstCall.args[0].should.containEql('Versuch 1: fehlgeschlagen')
+            formatter.baseReporter.log.firstCall.args[0].should.not.containEql(': fail')
+        })
+    })
+
+    describe('browser matrix', () => {
+        it('should show the state of each testcase per browser', () => {
+            const formatter = createFormatter({ colors: false, browserMatrix: true })
+            const runner = (capabilities, state) => ({
+                capabilities,
+                suites: [{ title: 'login', tests: [{ title: 'works', state }] }]
+            })
+
+            formatter.getBrowserMatrix([
+                runner({ browserName: 'chrome', version: '70' }, 'pass'),
+                runner({ deviceName: 'iPhone X', platformName: 'iOS', platformVersion: '12.1' }, 'fail')
+            ], 'testcases').should.be.equal(
+                '[TESTCASE]   chrome 70  iPhone X iOS 12.1\n' +
+                'login works  ✓          ✖\n'
+            )
+            formatter.getBrowserMatrix([], 'specs').should.be.equal('')
+        })
+    })
+
+    describe('custom formatters', () => {
+        it('should reuse the console output', () => {
+            class SummaryFormatter extends ConsoleFormatter {
+                onRunnerEnd (runner) {
+                    this.log(this.getSummary(runner.counts, runner.duration, this.getPhase(runner.phase).trim()))
+                }
+            }
+
+            const formatter = new SummaryFormatter({ colors: false }, Object.assign({}, baseReporter, { log: sinon.spy() }))
+
+            formatter.onRunnerEnd(RUNNER)
+            formatter.baseReporter.log.firstCall.args[0].should.be.equal(
+                '[TESTCASE] 2 passing (2m, 19s)\n' +
+                '[TESTCASE] 2 skipped\n' +
+                '[TESTCASE] 3 failing\n'
+            )
+        })
+    })
+})
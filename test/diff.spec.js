@@ -0,0 +1,42 @@
+import { stringify, hasDiff, getDiff } from '../lib/diff'
+
+describe('diff', () => {
+    describe('stringify', () => {
+        it('should keep strings and sort object keys', () => {
+            stringify('foo').should.be.equal('foo')
+            stringify({ b: 1, a: [1, 2] }).should.be.equal('{\n  "a": [\n    1,\n    2\n  ],\n  "b": 1\n}')
+            stringify(undefined).should.be.equal('undefined')
+        })
+    })
+
+    describe('hasDiff', () => {
+        it('should only be true for errors with differing values', () => {
+            hasDiff({ expected: 1, actual: 2 }).should.be.true()
+            hasDiff({ expected: 1, actual: 1 }).should.be.false()
+            hasDiff({ expected: 1, actual: 2, showDiff: false }).should.be.false()
+            hasDiff({ message: 'Ooops' }).should.be.false()
+        })
+    })
+
+    describe('getDiff', () => {
+        it('should diff single line values inline', () => {
+            const diff = getDiff('hello world', 'hello there')
+
+            diff.mode.should.be.equal('inline')
+            diff.changes.filter((change) => change.added).map((change) => change.value).should.eql(['world'])
+            diff.changes.filter((change) => change.removed).map((change) => change.value).should.eql(['there'])
+        })
+
+        it('should diff objects line by line', () => {
+            const diff = getDiff({ a: 1, b: 2 }, { a: 1, b: 3 })
+
+            diff.mode.should.be.equal('lines')
+            diff.changes.filter((change) => change.added).map((change) => change.value).should.eql(['  "b": 2\n'])
+            diff.changes.filter((change) => change.removed).map((change) => change.value).should.eql(['  "b": 3\n'])
+        })
+
+        it('should allow to force a mode', () => {
+            getDiff('a', 'b', 'lines').mode.should.be.equal('lines')
+        })
+    })
+})
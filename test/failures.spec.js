@@ -0,0 +1,34 @@
+import { normalizeMessage, getTopFrame, groupFailures } from '../lib/failures'
+
+const STACK = 'Error: not found\n    at callFn (/p/node_modules/mocha/runnable.js:1:1)\n    at LoginPage.open (/p/login.js:3:5)'
+
+describe('failure grouping', () => {
+    describe('normalizeMessage', () => {
+        it('should ignore numbers, ids and whitespace', () => {
+            normalizeMessage('Element 12 not  found after 5000ms\n').should.be.equal(normalizeMessage('Element 7 not found after 3000ms'))
+            normalizeMessage('session 1b4e28ba-2fa1-11d2-883f-0016d3cca427 died').should.be.equal('session <id> died')
+        })
+    })
+
+    describe('getTopFrame', () => {
+        it('should return the first frame that is not filtered', () => {
+            getTopFrame(STACK).should.be.equal('at LoginPage.open (/p/login.js:3:5)')
+            getTopFrame().should.be.equal('')
+        })
+    })
+
+    describe('groupFailures', () => {
+        it('should cluster failures by message and top frame', () => {
+            const groups = groupFailures([
+                { title: 'login 1', cids: ['0-0'], state: 'broken', errors: [{ message: 'Element 1 not found', stack: STACK }] },
+                { title: 'login 2', cids: ['0-1'], state: 'broken', errors: [{ message: 'Element 2 not found', stack: STACK }] },
+                { title: 'logout', cids: ['0-0'], state: 'fail', errors: [{ message: 'Element 1 not found', stack: 'at other (/p/x.js:1:1)' }] }
+            ])
+
+            groups.should.have.length(2)
+            groups[0].error.message.should.be.equal('Element 1 not found')
+            groups[0].tests.should.eql([{ title: 'login 1', cids: ['0-0'], artifacts: [] }, { title: 'login 2', cids: ['0-1'], artifacts: [] }])
+            groups[1].tests.should.eql([{ title: 'logout', cids: ['0-0'], artifacts: [] }])
+        })
+    })
+})
@@ -56,28 +56,77 @@ export const SUITE = {
 }
 
 export const ERRORS = [{
-    parent: 'some parent',
-    title: 'some title',
-    err: {
+    title: 'some parent some title',
+    state: 'fail',
+    cids: ['22'],
+    artifacts: [],
+    errors: [{
         message: 'Ooops',
         stack: 'Hi\nwhat up\nthere?'
-    }
+    }]
 }, {
     title: 'some other title',
-    err: {
+    state: 'fail',
+    cids: ['22'],
+    artifacts: [],
+    errors: [{
         message: 'oh shit',
         stack: 'something\nwent\nwrong'
-    }
+    }]
 }]
 
 export const ERRORS_NO_STACK = [{
-    parent: 'some parent',
-    title: 'some title',
-    err: {
+    title: 'some parent some title',
+    state: 'fail',
+    cids: ['22'],
+    artifacts: [],
+    errors: [{
         message: 'Ooops'
-    }
+    }]
 }]
 
+export const RUNNER = {
+    cid: '22',
+    phase: 'testcases',
+    sessionID: '12345-12345-12345',
+    capabilities: {
+        browserName: 'phantomjs'
+    },
+    browser: 'phantomjs',
+    specs: '/path/to/spec.js',
+    jobUrl: undefined,
+    duration: 139000,
+    counts: { passing: 2, pending: 2, failing: 3, broken: 0, unvalidated: 0, hooks: 0 },
+    suites: [{
+        uid: 'some foobar test1',
+        title: 'some foobar test',
+        depth: 1,
+        tests: [
+            { uid: 'foo1', title: 'foo', state: 'pass' },
+            { uid: 'bar2', title: 'bar', state: 'pending' }
+        ]
+    }, {
+        uid: 'some other foobar test2',
+        title: 'some other foobar test',
+        depth: 2,
+        tests: [
+            { uid: 'that is a test4', title: 'that is a test', state: 'pass' },
+            { uid: 'and another test5', title: 'and another test', state: 'fail' },
+            { uid: 'and another test6', title: 'and another different test', state: 'pending' }
+        ]
+    }, {
+        uid: 'some spec title3',
+        title: 'some spec title',
+        depth: 1,
+        tests: [
+            { uid: 'some last test6', title: 'some last test', state: 'fail' },
+            { uid: 'really last7', title: 'really last', state: 'fail' }
+        ]
+    }],
+    failedHooks: [],
+    failures: []
+}
+
 export const STATS = {
     runners: {
         '22': {
@@ -169,9 +218,10 @@ export const RESULTLIST = `kuckkuck>  some foobar test
 kuckkuck>    \u001b[32m✓\u001b[0m foo
 kuckkuck>    \u001b[36m-\u001b[0m bar
 kuckkuck>
-kuckkuck>  some other foobar test
-kuckkuck>    \u001b[32m✓\u001b[0m that is a test
-kuckkuck>    \u001b[31m28)\u001b[0m and another test
+kuckkuck>      some other foobar test
+kuckkuck>        \u001b[32m✓\u001b[0m that is a test
+kuckkuck>        \u001b[31m28)\u001b[0m and another test
+kuckkuck>        \u001b[36m-\u001b[0m and another different test
 kuckkuck>
 kuckkuck>  some spec title
 kuckkuck>    \u001b[31m29)\u001b[0m some last test
@@ -180,44 +230,48 @@ kuckkuck>
 `
 
 export const SUMMARY = `kuckkuck>  \u001b[32m3\u001b[0m \u001b[32mpassing\u001b[0m (2m, 19s)
-kuckkuck>  \u001b[36m1\u001b[0m \u001b[36mpending\u001b[0m
+kuckkuck>  \u001b[36m1\u001b[0m \u001b[36mskipped\u001b[0m
 kuckkuck>  \u001b[31m2\u001b[0m \u001b[31mfailing\u001b[0m
 `
 
-export const ERRORLIST = `kuckkuck>
-kuckkuck>  \u001b[0m1) some parent some title:\u001b[0m
-kuckkuck>  \u001b[31mOoops\u001b[0m
-kuckkuck>  \u001b[90mHi\u001b[0m
-kuckkuck>  \u001b[90mwhat up\u001b[0m
-kuckkuck>  \u001b[90mthere?\u001b[0m
-kuckkuck>
-kuckkuck>  \u001b[0m2) some other title:\u001b[0m
-kuckkuck>  \u001b[31moh shit\u001b[0m
-kuckkuck>  \u001b[90msomething\u001b[0m
-kuckkuck>  \u001b[90mwent\u001b[0m
-kuckkuck>  \u001b[90mwrong\u001b[0m
+export const ERRORLIST = `
+\u001b[0m1) some parent some title:\u001b[0m
+
+\u001b[93mOoops\u001b[0m
+\u001b[90mHi\u001b[0m
+\u001b[90mwhat up\u001b[0m
+\u001b[90mthere?\u001b[0m
+
+
+\u001b[0m2) some other title:\u001b[0m
+
+\u001b[93moh shit\u001b[0m
+\u001b[90msomething\u001b[0m
+\u001b[90mwent\u001b[0m
+\u001b[90mwrong\u001b[0m
+
 `
 
-export const ERRORLIST_NO_STACK = `kuckkuck>
-kuckkuck>  \u001b[0m1) some parent some title:\u001b[0m
-kuckkuck>  \u001b[31mOoops\u001b[0m
-kuckkuck>  \u001b[90mno stack available\u001b[0m
+export const ERRORLIST_NO_STACK = `
+\u001b[0m1) some parent some title:\u001b[0m
+
+\u001b[31mOoops\u001b[0m
+
 `
 
 export const SUITERESULT = `------------------------------------------------------------------
-[phantomjs #22] Session ID: 12345-12345-12345
-[phantomjs #22] Spec: /path/to/spec.js
-[phantomjs #22] Running: phantomjs
-[phantomjs #22]
-[phantomjs #22]
-[phantomjs #22]
+[TESTCASE]  Session ID: 12345-12345-12345
+[TESTCASE]  Testcase File: /path/to/spec.js
+[TESTCASE]  Running: phantomjs
+[TESTCASE] \n[TESTCASE] \n------------------------------------------------------------------
 `
 
 export const JOBLINKRESULT = `kuckkuck>
 kuckkuck>  Check out job at https://saucelabs.com/tests/12345-12345-12345
 `
 
-export const SUITES_SUMMARY = `
-
-==================================================================
-Number of specs: 2`
+export const SUITES_SUMMARY = `==================================================================
+[TESTCASE] \u001b[32m2\u001b[0m \u001b[32mpassing\u001b[0m (2s)
+[TESTCASE] \u001b[31m1\u001b[0m \u001b[31mfailing\u001b[0m
+[SPEC] \u001b[32m3\u001b[0m \u001b[32mpassing\u001b[0m (1s)
+`
@@ -0,0 +1,15 @@
+import { getHookType } from '../lib/hooks'
+
+describe('hooks', () => {
+    it('should return the type of a failed hook', () => {
+        getHookType('"before all" hook').should.be.equal('before all')
+        getHookType('"before each" hook for "logs in"').should.be.equal('before each')
+        getHookType('"after each" hook for "logs in"').should.be.equal('after each')
+        getHookType('"after all" hook').should.be.equal('after all')
+    })
+
+    it('should not match tests', () => {
+        const titles = ['logs in', 'runs the "before all" hook', undefined]
+        titles.map((title) => getHookType(title)).should.eql([undefined, undefined, undefined])
+    })
+})
@@ -0,0 +1,40 @@
+import { inspectArg, truncateStrings } from '../lib/inspect'
+
+describe('step argument inspection', () => {
+    const arg = {
+        user: { name: 'admin', roles: ['a', 'b', 'c'], address: { city: { zip: 1 } } },
+        note: 'a long description'
+    }
+    const longArg = { a: 'x'.repeat(40), b: 'x'.repeat(40), c: 'x'.repeat(40), d: 'x'.repeat(40), e: 'x'.repeat(40) }
+
+    it('should shorten long strings', () => {
+        truncateStrings({ list: ['abcdef', 'ab'] }, 3).should.eql({ list: ['abc... 3 more characters', 'ab'] })
+    })
+
+    it('should limit depth and array entries', () => {
+        inspectArg(arg, { depth: 1 }).join('\n').should.containEql('address: [Object]')
+        inspectArg(arg, { maxArrayLength: 1 }).join('\n').should.containEql('... 2 more items')
+    })
+
+    it('should print compact arguments on a single line', () => {
+        inspectArg(arg, { compact: true, depth: 5 }).length.should.be.equal(1)
+    })
+
+    it('should limit the number of lines', () => {
+        const lines = inspectArg(longArg, { maxLines: 2 })
+
+        lines.length.should.be.equal(3)
+        lines[2].should.be.equal('... 3 more lines')
+    })
+
+    it('should use the given labels for shortened strings and lines', () => {
+        const lines = inspectArg(longArg, {
+            maxStringLength: 30,
+            maxLines: 2,
+            labels: { moreCharacters: '... {count} weitere Zeichen', moreLines: '... {count} weitere Zeilen' }
+        })
+
+        lines[1].should.containEql('... 10 weitere Zeichen')
+        lines[2].should.be.equal('... 3 weitere Zeilen')
+    })
+})
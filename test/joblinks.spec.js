@@ -0,0 +1,37 @@
+import { fillTemplate, getJobUrl } from '../lib/joblinks'
+
+describe('job links', () => {
+    describe('fillTemplate', () => {
+        it('should replace known placeholders and keep unknown ones', () => {
+            fillTemplate('https://grid/{cid}/{sessionID}/{foo}', { cid: '0-1', sessionID: 'abc' })
+                .should.be.equal('https://grid/0-1/abc/{foo}')
+        })
+
+        it('should keep the host as it is and encode the other values', () => {
+            fillTemplate('http://{host}/grid/session/{sessionID}', { host: 'grid.local:4444', sessionID: 'a/b' })
+                .should.be.equal('http://grid.local:4444/grid/session/a%2Fb')
+        })
+    })
+
+    describe('getJobUrl', () => {
+        it('should return nothing without a session', () => {
+            (typeof getJobUrl({ host: 'ondemand.saucelabs.com' })).should.be.equal('undefined')
+        })
+
+        it('should build links for the known providers', () => {
+            getJobUrl({ sessionID: '1', host: 'ondemand.saucelabs.com' }).should.be.equal('https://saucelabs.com/tests/1')
+            getJobUrl({ sessionID: '1', host: 'hub.testingbot.com' }).should.be.equal('https://testingbot.com/members/tests/1')
+            getJobUrl({ sessionID: '1', host: 'hub.lambdatest.com' }).should.be.equal('https://automation.lambdatest.com/logs/?sessionID=1')
+        })
+
+        it('should return nothing for unknown hosts', () => {
+            (typeof getJobUrl({ sessionID: '1', host: 'localhost' })).should.be.equal('undefined')
+        })
+
+        it('should use the template for any host', () => {
+            getJobUrl({ sessionID: '1' }, 'https://grid.local/session/{sessionID}').should.be.equal('https://grid.local/session/1')
+            getJobUrl({ sessionID: 'abc', host: 'grid.local:4444' }, 'http://{host}/grid/session/{sessionID}')
+                .should.be.equal('http://grid.local:4444/grid/session/abc')
+        })
+    })
+})
@@ -0,0 +1,81 @@
+import JunitReport, { escapeXml } from '../lib/junit'
+
+describe('junit report', () => {
+    const suite = { cid: '0-0', uid: 'login1', title: 'login' }
+
+    describe('escapeXml', () => {
+        it('should escape entities and strip ansi codes', () => {
+            escapeXml('\u001b[31m<a href="x">&\'</a>\u001b[0m').should.be.equal(
+                '&lt;a href=&quot;x&quot;&gt;&amp;&apos;&lt;/a&gt;'
+            )
+        })
+    })
+
+    describe('toXml', () => {
+        it('should map workflo states to junit elements', () => {
+            const report = new JunitReport()
+            report.addRunner('testcases', '0-0', 'chrome')
+            report.addSuite('testcases', suite)
+            report.addTest('testcases', { cid: '0-0', parent: 'login', parentUid: 'login1', title: 'passes', duration: 1500 }, 'pass')
+            report.addTest('testcases', { cid: '0-0', parent: 'login', parentUid: 'login1', title: 'fails' }, 'fail', [{ message: 'expected', stack: 'at x' }])
+            report.addTest('testcases', { cid: '0-0', parent: 'login', parentUid: 'login1', title: 'breaks' }, 'broken', [{ message: 'broke' }])
+            report.addTest('testcases', { cid: '0-0', parent: 'login', parentUid: 'login1', title: 'skips' }, 'pending', [null])
+
+            const xml = report.toXml()
+            xml.should.containEql('<testsuite name="login" package="testcases" hostname="chrome" tests="4" failures="1" errors="1" skipped="1" time="1.500">')
+            xml.should.containEql('<testcase classname="testcases.login" name="passes" time="1.500"/>')
+            xml.should.containEql('<failure message="expected" type="fail">expected\nat x</failure>')
+            xml.should.containEql('<error message="broke" type="broken">broke</error>')
+            xml.should.containEql('<skipped/>')
+        })
+
+        it('should report unvalidated tests as the configured kind', () => {
+            const report = new JunitReport({ unvalidatedAs: 'skipped' })
+            report.addSuite('specs', suite)
+            report.addTest('specs', { cid: '0-0', parent: 'login', parentUid: 'login1', title: '1.1' }, 'unvalidated', [{ message: 'not validated' }])
+
+            report.toXml().should.containEql('<skipped message="not validated"/>')
+        })
+
+        it('should list artifacts as attachments', () => {
+            const report = new JunitReport()
+            report.addSuite('testcases', suite)
+            report.addTest('testcases', { cid: '0-0', parent: 'login', parentUid: 'login1', title: 'fails' }, 'fail', [{ message: 'expected' }], [
+                { name: 'login.png', path: '/tmp/login.png' }
+            ])
+
+            report.toXml().should.containEql('<system-out>[[ATTACHMENT|/tmp/login.png]]</system-out>')
+        })
+
+        it('should keep suites with the same title apart', () => {
+            const report = new JunitReport()
+            report.addSuite('testcases', suite)
+            report.addSuite('testcases', { cid: '0-0', uid: 'login2', title: 'login' })
+            report.addTest('testcases', { cid: '0-0', parent: 'login', parentUid: 'login1', title: 'passes' }, 'pass')
+            report.addTest('testcases', { cid: '0-0', parent: 'login', parentUid: 'login2', title: 'fails' }, 'fail', [{ message: 'expected' }])
+
+            const xml = report.toXml()
+            xml.match(/<testsuite /g).should.have.length(2)
+            xml.should.containEql('tests="1" failures="0"')
+            xml.should.containEql('tests="1" failures="1"')
+        })
+
+        it('should fall back to the suite title without a parent uid', () => {
+            const report = new JunitReport()
+            report.addTest('specs', { cid: '0-0', parent: 'login', title: '1.1' }, 'pass')
+
+            report.toXml().should.containEql('<testsuite name="login" package="specs"')
+        })
+
+        it('should omit suites without tests', () => {
+            const report = new JunitReport()
+            report.addSuite('specs', suite)
+
+            report.toXml().should.not.containEql('<testsuite ')
+        })
+    })
+
+    it('should reject unknown kinds for unvalidated tests', () => {
+        (() => new JunitReport({ unvalidatedAs: 'ignored' })).should.throw(/junitUnvalidatedAs/)
+    })
+})
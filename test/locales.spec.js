@@ -0,0 +1,34 @@
+import { LOCALES, formatLabel, resolveLocale } from '../lib/locales'
+
+describe('locales', () => {
+    describe('resolveLocale', () => {
+        it('should merge overrides with the language', () => {
+            const locale = resolveLocale({ language: 'de', labels: { step: 'AKTION' } })
+
+            locale.labels.step.should.be.equal('AKTION')
+            locale.labels.retry.should.be.equal('Wiederholung')
+            locale.durations.m.should.be.equal('min')
+            locale.decimal.should.be.equal(',')
+        })
+
+        it('should accept the name of a language', () => {
+            resolveLocale('de').labels.testcase.should.be.equal('TESTFALL')
+            resolveLocale().labels.testcase.should.be.equal('TESTCASE')
+        })
+
+        it('should reject unknown languages', () => {
+            (() => resolveLocale('fr')).should.throw(/Unknown locale "fr"/)
+        })
+    })
+
+    it('should translate every label', () => {
+        Object.keys(LOCALES).forEach((language) => {
+            Object.keys(LOCALES[language].labels).should.eql(Object.keys(LOCALES.en.labels))
+        })
+    })
+
+    it('should fill the placeholders of a label', () => {
+        formatLabel('passed after {attempts} attempts', { attempts: 3 }).should.be.equal('passed after 3 attempts')
+        formatLabel('{unknown} stays').should.be.equal('{unknown} stays')
+    })
+})
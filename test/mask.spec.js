@@ -0,0 +1,54 @@
+import SecretMasker from '../lib/mask'
+
+describe('secret masker', () => {
+    describe('maskValue', () => {
+        it('should mask values of secret keys in nested objects', () => {
+            const masker = new SecretMasker()
+
+            masker.maskValue({
+                user: 'admin',
+                credentials: { userPassword: 'hunter2', tokens: ['a', 'b'] },
+                list: [{ apiKey: 42 }]
+            }).should.eql({
+                user: 'admin',
+                credentials: { userPassword: '******', tokens: ['a', 'b'] },
+                list: [{ apiKey: '******' }]
+            })
+        })
+
+        it('should not modify the original value', () => {
+            const arg = { password: 'hunter2' }
+
+            new SecretMasker().maskValue(arg)
+            arg.password.should.be.equal('hunter2')
+        })
+    })
+
+    describe('maskText', () => {
+        it('should mask secrets which were seen in values before', () => {
+            const masker = new SecretMasker({ keys: ['pin'] })
+
+            masker.maskValue({ pin: '1234' })
+            masker.maskText('login with 1234 failed').should.be.equal('login with ****** failed')
+        })
+
+        it('should only remember strings as secrets', () => {
+            const masker = new SecretMasker()
+
+            masker.maskValue({ password: 'hunter2', token: 1, secret: true })
+            masker.secrets.should.eql(['hunter2'])
+            masker.maskText('1 of true').should.be.equal('1 of true')
+        })
+
+        it('should mask key value pairs', () => {
+            new SecretMasker().maskText('{"password": "hunter2", "user": "admin"} token=abc').should.be.equal(
+                '{"password": ******, "user": "admin"} token=******'
+            )
+        })
+
+        it('should mask matches of value patterns', () => {
+            new SecretMasker({ patterns: [/Bearer \S+/], mask: '<secret>' }).maskText('header Bearer abc.def was rejected')
+                .should.be.equal('header <secret> was rejected')
+        })
+    })
+})
@@ -0,0 +1,31 @@
+import { buildBrowserMatrix, renderTable } from '../lib/matrix'
+
+describe('browser matrix', () => {
+    const runner = (browser, tests) => ({ browser, suites: [{ title: 'login', tests }] })
+
+    it('should collect the worst state of each test per browser', () => {
+        buildBrowserMatrix([
+            runner('chrome', [{ title: 'a', state: 'pass' }, { title: 'b', state: 'pass' }]),
+            runner('firefox', [{ title: 'a', state: 'fail' }]),
+            runner('chrome', [{ title: 'b', state: 'broken' }])
+        ], (r) => r.browser).should.eql({
+            columns: ['chrome', 'firefox'],
+            rows: [
+                { title: 'login a', states: { chrome: 'pass', firefox: 'fail' } },
+                { title: 'login b', states: { chrome: 'broken' } }
+            ]
+        })
+    })
+
+    it('should align the columns of a table', () => {
+        renderTable([
+            ['', 'chrome', 'firefox'],
+            ['login a', '\u001b[32m✓\u001b[0m', '✖'],
+            ['logout', '', '✓']
+        ]).should.be.equal(
+            '         chrome  firefox\n' +
+            'login a  \u001b[32m✓\u001b[0m       ✖\n' +
+            'logout           ✓\n'
+        )
+    })
+})
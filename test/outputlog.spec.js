@@ -0,0 +1,39 @@
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+
+import OutputLog from '../lib/outputlog'
+
+describe('output log', () => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'outputlog-'))
+    const dir = path.join(root, 'logs')
+    const read = (file) => fs.readFileSync(path.join(dir, file), 'utf8')
+
+    after(() => {
+        fs.readdirSync(dir).forEach((file) => fs.unlinkSync(path.join(dir, file)))
+        fs.rmdirSync(dir)
+        fs.rmdirSync(root)
+    })
+
+    it('should write uncolored output per runner and for the whole run', () => {
+        const outputLog = new OutputLog(dir)
+
+        outputLog.addRunner('testcases', '0-0', ['/project/testcases/login.tc.js'])
+        outputLog.addRunner('testcases', '0-1', ['/project/testcases/logout.tc.js'])
+        outputLog.write('\u001b[32mlogin passed\u001b[0m', '0-0')
+        outputLog.write('logout passed', '0-1')
+        outputLog.write('summary')
+
+        read('testcases-0-0-login.tc.log').should.be.equal('login passed\n')
+        read('testcases-0-1-logout.tc.log').should.be.equal('logout passed\n')
+        read('run.log').should.be.equal('login passed\nlogout passed\nsummary\n')
+    })
+
+    it('should overwrite the files of previous runs', () => {
+        const outputLog = new OutputLog(dir)
+
+        outputLog.write('next run')
+
+        read('run.log').should.be.equal('next run\n')
+    })
+})
@@ -0,0 +1,30 @@
+import ProgressLine from '../lib/progress'
+
+describe('progress line', () => {
+    const createStream = () => {
+        const stream = { columns: 20, output: '' }
+        stream.write = (str) => { stream.output += str }
+        return stream
+    }
+
+    it('should rewrite the line in place and shorten it to the terminal width', () => {
+        const stream = createStream()
+        const progress = new ProgressLine(stream)
+
+        progress.render('1 running')
+        progress.render('1 running, 10 passing, 1 failing')
+
+        stream.output.should.be.equal('\r\u001b[K1 running\r\u001b[K1 running, 10 pa...')
+    })
+
+    it('should only clear a visible line', () => {
+        const stream = createStream()
+        const progress = new ProgressLine(stream)
+
+        progress.clear()
+        progress.render('1 running')
+        progress.clear()
+
+        stream.output.should.be.equal('\r\u001b[K1 running\r\u001b[K')
+    })
+})
@@ -1,11 +1,11 @@
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
 import sinon from 'sinon'
 import SpecReporter from '../lib/reporter'
-import {
-    SUITE, COLORS, RESULTLIST, SUMMARY, ERRORS, ERRORLIST,
-    STATS, STATS_WITH_NO_SPECS, SUITERESULT, JOBLINKRESULT,
-    ERRORS_NO_STACK, ERRORLIST_NO_STACK, SUITES_SUMMARY,
-    STATS_WITH_MULTIPLE_RUNNERS
-} from './fixtures'
+import ConsoleFormatter from '../lib/consoleformatter'
+import Formatter from '../lib/formatter'
+import { COLORS, STATS_WITH_MULTIPLE_RUNNERS } from './fixtures'
 
 const baseReporter = {
     symbols: {
@@ -18,7 +18,25 @@ const baseReporter = {
         return `\u001b[${COLORS[type]}m${str}\u001b[0m`
     }
 }
-const reporter = new SpecReporter(baseReporter)
+const reporter = new SpecReporter(baseReporter, { colors: true })
+
+/**
+ * stats of a single chrome runner '0-0' with the given suites
+ */
+const createStats = (suites, failures = []) => ({
+    counts: { pending: 0 },
+    runners: {
+        '0-0': {
+            cid: '0-0',
+            sessionID: 'abc',
+            capabilities: { browserName: 'chrome' },
+            config: {},
+            specs: { login: { _duration: 1000, suites } }
+        }
+    },
+    getSpecHash: () => 'login',
+    getFailures: () => failures
+})
 
 describe('spec reporter', () => {
     describe('the runner:start event', () => {
@@ -39,20 +57,24 @@ describe('spec reporter', () => {
             reporter.results[42].should.eql({
                 passing: 0,
                 pending: 0,
-                failing: 0
+                failing: 0,
+                broken: 0,
+                unvalidated: 0,
+                hooks: 0
             })
         })
     })
 
     describe('the runner:end event', () => {
-        it('should print results', done => {
-            const origPrintSuiteResult = reporter.printSuiteResult
-            reporter.printSuiteResult = () => done()
-            reporter.emit('runner:end', {
-                cid: 42
-            })
+        it('should print results', () => {
+            const endReporter = new SpecReporter(Object.assign({}, baseReporter, { log: sinon.spy(), stats: createStats({}) }), {})
+            const formatter = endReporter.formatters[0]
 
-            reporter.printSuiteResult = origPrintSuiteResult
+            formatter.printSuiteResult = sinon.spy()
+            endReporter.emit('runner:start', { cid: '0-0', specs: ['login.tc.js'] })
+            endReporter.emit('runner:end', { cid: '0-0' })
+
+            formatter.printSuiteResult.firstCall.args[0].should.containEql({ cid: '0-0', phase: 'testcases', sessionID: 'abc' })
         })
     })
 
@@ -103,51 +125,651 @@ describe('spec reporter', () => {
         })
     })
 
+    describe('the test:broken event', () => {
+        it('should increase broken tests of an error without errs', () => {
+            reporter.emit('test:broken', {
+                cid: 42,
+                title: 'logs in',
+                err: { message: 'element not found' }
+            })
+            reporter.results[42].broken.should.equal(1)
+        })
+    })
+
     describe('the end event', () => {
-        it('should print summary', done => {
-            const origPrintSuitesSummary = reporter.printSuitesSummary
-            reporter.printSuitesSummary = () => done()
-            reporter.emit('end')
+        it('should print summary', () => {
+            const log = sinon.spy()
+            const writeCompleteOutput = sinon.spy()
+            const endReporter = new SpecReporter(Object.assign({}, baseReporter, {
+                log,
+                writeCompleteOutput,
+                stats: createStats({ login1: { title: 'login', tests: { a: { title: 'passes', state: 'pass' } } } })
+            }), { colors: false })
+
+            endReporter.emit('runner:start', { cid: '0-0', specs: ['login.tc.js'] })
+            endReporter.emit('test:pass', { cid: '0-0', title: 'passes' })
+            endReporter.emit('runner:end', { cid: '0-0' })
+            endReporter.emit('startSpecs', { cid: '0-0' })
+            endReporter.emit('end')
+
+            log.lastCall.args[0].should.be.equal(
+                '==================================================================\n' +
+                '[TESTCASE] 1 passing (1s)\n'
+            )
+            writeCompleteOutput.callCount.should.be.equal(1)
+        })
+
+        it('should not print anything before the specs were started', () => {
+            const log = sinon.spy()
+            const endReporter = new SpecReporter(Object.assign({}, baseReporter, { log }), {})
+
+            endReporter.emit('end')
 
-            reporter.printSuitesSummary = origPrintSuitesSummary
+            log.callCount.should.be.equal(0)
         })
     })
 
-    describe('indent', () => {
-        it('should return nothing if indent is 1', () => {
-            reporter.suiteIndents[0] = {
-                'some spec title': 1
-            }
-            reporter.indent(0, 'some spec title').should.be.equal('')
+    describe('step timing', () => {
+        let origConsoleLog
+        let clock
+
+        beforeEach(() => {
+            origConsoleLog = console.log
+            console.log = sinon.spy()
+            clock = sinon.useFakeTimers()
+        })
+
+        afterEach(() => {
+            console.log = origConsoleLog
+            clock.restore()
+        })
+
+        it('should print the duration of finished steps and collect the slowest ones', () => {
+            const stepReporter = new SpecReporter(baseReporter, { consoleLogLevel: 'steps', colors: true })
+            const step = (description) => ({ cid: '0-0', title: description, description, arg: '{}' })
+
+            stepReporter.emit('test:setCurrentId', { cid: '0-0', id: 'login' })
+            stepReporter.emit('step:start', step('open page'))
+            clock.tick(300)
+            stepReporter.emit('step:start', step('enter name'))
+            clock.tick(1200)
+            stepReporter.emit('step:end', step('enter name'))
+            stepReporter.emit('step:end', step('open page'))
+
+            console.log.calledWith('\u001b[90m    DONE: "enter name" (1s, 200ms)\u001b[0m').should.be.ok()
+            console.log.calledWith('\u001b[90m  DONE: "open page" (1s, 500ms)\u001b[0m').should.be.ok()
+            stepReporter.getSlowestSteps(1).should.eql([
+                { cid: '0-0', testcase: 'login', description: 'open page', duration: 1500 }
+            ])
+        })
+    })
+
+    describe('step filter', () => {
+        let origConsoleLog
+
+        beforeEach(() => {
+            origConsoleLog = console.log
+            console.log = sinon.spy()
+        })
+
+        afterEach(() => {
+            console.log = origConsoleLog
+        })
+
+        const step = (title, description = title) => ({ cid: '0-0', title, description, arg: '{}' })
+        const printedSteps = () => console.log.args
+            .map((args) => args[0])
+            .filter((line) => typeof line === 'string' && line.indexOf('STEP: ') > -1)
+            .map((line) => line.trim())
+
+        it('should filter steps by patterns and nesting depth', () => {
+            const stepReporter = new SpecReporter(baseReporter, {
+                consoleLogLevel: 'steps',
+                colors: true,
+                stepFilter: { include: [/^Callback$/], exclude: ['helper'], maxDepth: 2 }
+            })
+
+            stepReporter.emit('test:setCurrentId', { cid: '0-0', id: 'login' })
+            stepReporter.emit('step:start', step('open page'))
+            stepReporter.emit('step:start', step('Callback', 'wait for page'))
+            stepReporter.emit('step:start', step('nested'))
+            stepReporter.emit('step:end', step('nested'))
+            stepReporter.emit('step:end', step('Callback'))
+            stepReporter.emit('step:end', step('open page'))
+            stepReporter.emit('step:start', step('scroll', 'helper: scroll'))
+            stepReporter.emit('step:end', step('scroll'))
+
+            printedSteps().should.eql(['STEP: "open page"', 'STEP: "wait for page"'])
+        })
+
+        it('should print included steps nested deeper than maxDepth', () => {
+            const stepReporter = new SpecReporter(baseReporter, {
+                consoleLogLevel: 'steps',
+                colors: true,
+                stepFilter: { include: [/^open /], maxDepth: 1 }
+            })
+
+            stepReporter.emit('test:setCurrentId', { cid: '0-0', id: 'login' })
+            stepReporter.emit('step:start', step('login'))
+            stepReporter.emit('step:start', step('click'))
+            stepReporter.emit('step:start', step('open page'))
+            stepReporter.emit('step:end', step('open page'))
+            stepReporter.emit('step:end', step('click'))
+            stepReporter.emit('step:end', step('login'))
+
+            printedSteps().should.eql(['STEP: "login"', 'STEP: "open page"'])
+        })
+
+        it('should only print steps of failing testcases', () => {
+            const stepReporter = new SpecReporter(baseReporter, {
+                consoleLogLevel: 'steps',
+                colors: true,
+                stepFilter: { onlyFailedTestcases: true }
+            })
+
+            stepReporter.emit('runner:start', { cid: '0-0', specs: [] })
+            stepReporter.emit('test:setCurrentId', { cid: '0-0', id: 'login' })
+            stepReporter.emit('step:start', step('login'))
+            stepReporter.emit('step:end', step('login'))
+            stepReporter.emit('test:pass', { cid: '0-0' })
+            printedSteps().should.eql([])
+
+            stepReporter.emit('test:setCurrentId', { cid: '0-0', id: 'logout' })
+            stepReporter.emit('step:start', step('logout'))
+            stepReporter.emit('step:end', step('logout'))
+            printedSteps().should.eql([])
+
+            stepReporter.emit('test:fail', { cid: '0-0', errs: [] })
+            printedSteps().should.eql(['STEP: "logout"'])
+        })
+    })
+
+    describe('traceability', () => {
+        it('should list the testcases and the spec result of each criterion', () => {
+            const traceReporter = new SpecReporter(baseReporter, { traceability: true, colors: true, theme: { colors: { unvalidated: 36 } } })
+
+            traceReporter.emit('runner:start', { cid: '0-0', specs: [] })
+            traceReporter.emit('test:setCurrentId', { cid: '0-0', id: 'login' })
+            traceReporter.emit('step:start', { cid: '0-0', title: 'validate: {"Login":[1,2]}', arg: '{}' })
+            traceReporter.emit('test:pass', { cid: '0-0' })
+            traceReporter.emit('startSpecs', { cid: '0-0' })
+            traceReporter.emit('test:setCurrentId', { cid: '0-0', id: 'Login|1', descriptions: { criteria: 'shows the form' } })
+            traceReporter.emit('test:pass', { cid: '0-0' })
+            traceReporter.emit('test:setCurrentId', { cid: '0-0', id: 'Login|3' })
+            traceReporter.emit('test:unvalidated', { cid: '0-0' })
+
+            traceReporter.formatters[0].getTraceability(traceReporter.getRunResult().traceability).should.be.equal(
+                '\nLogin 1 "shows the form": \u001b[32mpassed\u001b[0m\n' +
+                '\u001b[90m   validated by login\u001b[0m\n' +
+                '\nLogin 2: \u001b[36munvalidated\u001b[0m\n' +
+                '\u001b[90m   validated by login\u001b[0m\n' +
+                '\nLogin 3: \u001b[36munvalidated\u001b[0m\n' +
+                '\u001b[90m   not validated by any testcase\u001b[0m\n'
+            )
+        })
+    })
+
+    describe('progress', () => {
+        let clock
+
+        beforeEach(() => {
+            clock = sinon.useFakeTimers()
+        })
+
+        afterEach(() => {
+            clock.restore()
+        })
+
+        it('should summarize runners, results and the current testcase', () => {
+            const progressReporter = new SpecReporter(baseReporter, {})
+
+            progressReporter.emit('runner:start', { cid: '0-0', specs: [] })
+            progressReporter.emit('runner:start', { cid: '0-1', specs: [] })
+            progressReporter.emit('test:setCurrentId', { cid: '0-0', id: 'login' })
+            progressReporter.emit('test:pass', { cid: '0-0' })
+            progressReporter.emit('test:setCurrentId', { cid: '0-1', id: 'logout' })
+            progressReporter.emit('test:fail', { cid: '0-1', errs: [] })
+            clock.tick(65000)
+
+            const formatter = progressReporter.formatters[0]
+
+            formatter.getProgressStatus(formatter.progress).should.be.equal('[TESTCASE] 2 running, 0 finished | 1 passing, 1 failing | logout | 1m, 5s')
+        })
+    })
+
+    describe('changes since last run', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'snapshot-'))
+        const file = path.join(dir, 'snapshot.json')
+
+        after(() => {
+            fs.unlinkSync(file)
+            fs.rmdirSync(dir)
+        })
+
+        it('should compare the results with the snapshot of the previous run', () => {
+            const snapshotReporter = new SpecReporter(baseReporter, { resultsSnapshotFile: file })
+
+            fs.writeFileSync(file, JSON.stringify({
+                start: '1970-01-01T00:00:00.000Z',
+                testcases: { 'login › fails (chrome)': 'pass', 'login › passes (chrome)': 'pass' }
+            }))
+            snapshotReporter.runnerResults.testcases.push({
+                capabilities: { browserName: 'chrome' },
+                counts: {},
+                suites: [{ title: 'login', tests: [{ title: 'fails', state: 'fail' }, { title: 'passes', state: 'pass' }] }]
+            })
+
+            const changes = snapshotReporter.getRunResult().changesSinceLastRun
+
+            changes.since.should.be.equal('1970-01-01T00:00:00.000Z')
+            changes.testcases.newlyFailing.should.eql(['login › fails (chrome)'])
+            changes.testcases.fixed.should.be.empty()
+        })
+    })
+
+    describe('locale', () => {
+        let origConsoleLog
+
+        beforeEach(() => {
+            origConsoleLog = console.log
+            console.log = sinon.spy()
+        })
+
+        afterEach(() => {
+            console.log = origConsoleLog
+        })
+
+        it('should translate labels and durations', () => {
+            const localeReporter = new SpecReporter(baseReporter, {
+                consoleLogLevel: 'steps',
+                colors: false,
+                locale: { language: 'de', labels: { step: 'AKTION' } }
+            })
+
+            localeReporter.emit('test:setCurrentId', { cid: '0-0', id: 'login' })
+            localeReporter.emit('retry:failed', { cid: '0-0' })
+            localeReporter.emit('step:start', { cid: '0-0', title: 'open', description: 'open page', arg: '{}' })
+
+            console.log.calledWith('\nTESTFALL: "login"...').should.be.ok()
+            console.log.calledWith('\nTESTFALL: "login"... (Wiederholung 1)').should.be.ok()
+            console.log.calledWith('  AKTION: "open page"').should.be.ok()
+        })
+    })
+
+    describe('browser matrix', () => {
+        it('should show the state of each testcase per browser', () => {
+            const log = sinon.spy()
+            const stats = createStats({ login1: { title: 'login', tests: { a: { title: 'works', state: 'pass' } } } })
+            const matrixReporter = new SpecReporter(Object.assign({}, baseReporter, { log, stats, writeCompleteOutput: sinon.spy() }), {
+                colors: false,
+                browserMatrix: true
+            })
+
+            matrixReporter.emit('runner:start', { cid: '0-0', specs: ['login.tc.js'] })
+            matrixReporter.emit('test:pass', { cid: '0-0', title: 'works' })
+            matrixReporter.emit('runner:end', { cid: '0-0' })
+            matrixReporter.emit('startSpecs', { cid: '0-0' })
+            matrixReporter.emit('end')
+
+            log.args.map((args) => args[0]).should.containEql(
+                '==================================================================\n' +
+                'Browser Matrix:\n\n' +
+                '[TESTCASE]   chrome\n' +
+                'login works  ✓\n\n'
+            )
+        })
+    })
+
+    describe('result list modes', () => {
+        it('should reject unknown modes', () => {
+            (() => new SpecReporter(baseReporter, { resultList: 'short' })).should.throw(/resultList must be one of/)
+        })
+    })
+
+    describe('hook failures', () => {
+        let hookReporter
+
+        beforeEach(() => {
+            hookReporter = new SpecReporter(baseReporter, { colors: false })
+            hookReporter.emit('runner:start', { cid: '0-0', specs: [] })
+        })
+
+        it('should count failed hooks separately', () => {
+            hookReporter.emit('test:fail', { cid: '0-0', title: '"before each" hook for "passes"', parent: 'login', err: {} })
+            hookReporter.emit('test:fail', { cid: '0-0', title: 'fails', parent: 'login', err: {} })
+
+            hookReporter.results['0-0'].hooks.should.be.equal(1)
+            hookReporter.results['0-0'].failing.should.be.equal(1)
+        })
+
+        it('should list failed "before all" hooks in the runner result', () => {
+            hookReporter.baseReporter = Object.assign({}, baseReporter, {
+                stats: createStats({
+                    '"before all" hook': { title: '"before all" hook', tests: { a: { title: '"before all" hook', state: 'fail' } } },
+                    login: { title: 'login', tests: { b: { title: 'passes', state: 'pass' } } }
+                })
+            })
+            hookReporter.suiteIndents['0-0'] = { login: 1 }
+
+            const result = hookReporter.getRunnerResult({ cid: '0-0' })
+
+            result.failedHooks.should.eql([{ uid: '"before all" hook', title: '"before all" hook', depth: 0 }])
+            result.suites.map((suite) => suite.title).should.eql(['login'])
+        })
+
+        it('should title failures with the hook type and suite', () => {
+            const title = (test) => hookReporter.formatters[0].getFailureTitle(hookReporter.getFailureResult(Object.assign({ runner: {} }, test)))
+
+            title({ title: '"before each" hook for "passes"', printTitle: 'login "before each" hook for "passes"', parent: 'login' })
+                .should.be.equal('before each hook in "login" › "before each" hook for "passes"')
+            title({ title: 'fails', printTitle: 'login fails', parent: 'login' })
+                .should.be.equal('login fails')
+            title({ title: '"before all" hook', printTitle: '"before all" hook' })
+                .should.be.equal('before all hook › "before all" hook')
+        })
+    })
+
+    describe('artifacts', () => {
+        const failure = {
+            parent: 'login',
+            title: 'fails',
+            printTitle: 'login fails',
+            runner: { '0-0': {} },
+            err: { message: 'Ooops' }
+        }
+        let artifactReporter
+
+        beforeEach(() => {
+            artifactReporter = new SpecReporter(baseReporter, { colors: false })
+            artifactReporter.emit('runner:start', { cid: '0-0', specs: [] })
+            artifactReporter.emit('test:fail', {
+                cid: '0-0',
+                parent: 'login',
+                title: 'fails',
+                err: { message: 'Ooops' },
+                artifacts: ['screenshots/login.png']
+            })
+            artifactReporter.emit('test:artifact', { cid: '0-0', name: 'page source', path: 'sources/login.html' })
+        })
+
+        it('should list the artifacts of a failure', () => {
+            artifactReporter.formatters[0].getFailureList([artifactReporter.getFailureResult(failure)]).should.be.equal(
+                '\n1) login fails:\n\n' +
+                'Ooops\n\n' +
+                'Artifacts:\n' +
+                '- login.png: screenshots/login.png\n' +
+                '- page source: sources/login.html\n\n'
+            )
+        })
+
+        it('should print file links', () => {
+            artifactReporter.config.artifactLinks = true
+            artifactReporter.formatters[0].getArtifactList(artifactReporter.getArtifacts(failure)).should.containEql(
+                `- login.png: file://${path.resolve('screenshots/login.png')}\n`
+            )
+        })
+
+        it('should attach artifacts to the test with the given title', () => {
+            artifactReporter.emit('test:artifact', { cid: '0-0', parent: 'logout', title: 'fails', path: 'logout.png' })
+
+            artifactReporter.getArtifacts({ parent: 'logout', title: 'fails', cid: '0-0' }).should.eql([
+                { name: 'logout.png', path: path.resolve('logout.png') }
+            ])
+            artifactReporter.getArtifacts(failure).should.have.length(2)
+        })
+
+        it('should include artifacts in the failure results', () => {
+            artifactReporter.getFailureResult(failure).artifacts.map((artifact) => artifact.name)
+                .should.eql(['login.png', 'page source'])
+        })
+    })
+
+    describe('formatters', () => {
+        it('should call the lifecycle callbacks of custom formatters', () => {
+            const formatter = { onRunnerStart: sinon.spy(), onTestcaseStart: sinon.spy(), onTestEnd: sinon.spy(), onRunnerEnd: sinon.spy() }
+            const formatReporter = new SpecReporter(baseReporter, { formatters: [formatter] })
+            const failure = { message: 'expected 1 to be 2' }
+
+            formatReporter.baseReporter = Object.assign({}, baseReporter, { stats: createStats({}) })
+            formatReporter.emit('runner:start', { cid: '0-0', specs: ['login.tc.js'] })
+            formatReporter.emit('test:setCurrentId', { cid: '0-0', id: 'login' })
+            formatReporter.emit('retry:failed', { cid: '0-0' })
+            formatReporter.emit('test:fail', { cid: '0-0', uid: 'works1', title: 'works', duration: 20, errs: [failure] })
+            formatReporter.emit('runner:end', { cid: '0-0' })
+
+            formatter.onRunnerStart.firstCall.args[0].should.eql({
+                cid: '0-0',
+                phase: 'testcases',
+                specs: ['login.tc.js'],
+                sessionID: 'abc',
+                capabilities: { browserName: 'chrome' },
+                browser: 'chrome',
+                counts: { passing: 0, pending: 0, failing: 0, broken: 0, unvalidated: 0, hooks: 0 }
+            })
+            formatter.onTestcaseStart.args.map((args) => args[0]).should.eql([
+                { cid: '0-0', id: 'login', retry: 0 },
+                { cid: '0-0', id: 'login', retry: 1 }
+            ])
+            formatter.onTestEnd.firstCall.args[0].should.eql({
+                cid: '0-0',
+                phase: 'testcases',
+                uid: 'works1',
+                title: 'works',
+                state: 'fail',
+                duration: 20,
+                depth: 0,
+                errors: [failure]
+            })
+            formatter.onRunnerEnd.firstCall.args[0].should.containEql({ cid: '0-0', phase: 'testcases', sessionID: 'abc' })
+            formatter.onRunnerEnd.firstCall.args[0].counts.failing.should.be.equal(1)
+        })
+
+        it('should count tests which never ran as pending without the console formatter', () => {
+            const formatter = { onRunnerEnd: sinon.spy() }
+            const stats = createStats({
+                login1: { title: 'login', tests: { a: { title: 'passes', state: 'pass' }, b: { title: 'never ran', state: '' } } }
+            })
+            const formatReporter = new SpecReporter(Object.assign({}, baseReporter, { stats }), { formatters: [formatter] })
+
+            formatReporter.emit('runner:start', { cid: '0-0', specs: ['login.tc.js'] })
+            formatReporter.emit('test:pass', { cid: '0-0', title: 'passes' })
+            formatReporter.emit('runner:end', { cid: '0-0', specs: ['login.tc.js'] })
+
+            formatter.onRunnerEnd.firstCall.args[0].counts.should.eql({ passing: 1, pending: 1, failing: 0, broken: 0, unvalidated: 0, hooks: 0 })
+            formatReporter.getPhaseResult('testcases').runners[0].suites[0].tests.map((test) => test.state).should.eql(['pass', 'pending'])
+            formatReporter.getPhaseResult('testcases').counts.pending.should.be.equal(1)
         })
 
-        it('should return correct indent', () => {
-            reporter.suiteIndents[0] = {
-                'some spec title': 3
+        it('should pass steps and progress to formatters and write the complete output without the console formatter', () => {
+            const formatter = { onStepStart: sinon.spy(), onStepEnd: sinon.spy(), onProgress: sinon.spy(), onEnd: sinon.spy() }
+            const writeCompleteOutput = sinon.spy()
+            const formatReporter = new SpecReporter(Object.assign({}, baseReporter, { writeCompleteOutput }), {
+                formatters: [formatter],
+                consoleLogLevel: 'steps'
+            })
+
+            formatReporter.getRunResult = () => ({})
+            formatReporter.emit('runner:start', { cid: '0-0', specs: [] })
+            formatReporter.emit('test:setCurrentId', { cid: '0-0', id: 'login' })
+            formatReporter.emit('step:start', { cid: '0-0', title: 'open', description: 'open page', arg: '{"url":"/"}' })
+            formatReporter.emit('step:end', { cid: '0-0', title: 'open' })
+            formatReporter.emit('startSpecs', { cid: '0-0' })
+            formatReporter.emit('end')
+
+            formatter.onStepStart.firstCall.args[0].should.eql({ cid: '0-0', title: 'open', description: 'open page', arg: { url: '/' }, depth: 1 })
+            formatter.onStepEnd.firstCall.args[0].description.should.be.equal('open page')
+            formatter.onProgress.lastCall.args[0].should.containEql({ phase: 'testcases', running: 1, finished: 0, testcase: 'login' })
+            formatter.onProgress.lastCall.args[0].counts.should.eql({ passing: 0, pending: 0, failing: 0, broken: 0, unvalidated: 0, hooks: 0 })
+            formatter.onEnd.callCount.should.be.equal(1)
+            writeCompleteOutput.callCount.should.be.equal(1)
+        })
+
+        it('should instantiate formatter classes with the reporter options and the base reporter', () => {
+            class JsonFormatter {
+                constructor (config, baseReporter) {
+                    this.config = config
+                    this.baseReporter = baseReporter
+                }
             }
-            reporter.indent(0, 'some spec title').should.be.equal('        ')
+
+            const config = { formatters: ['console', JsonFormatter] }
+            const formatters = new SpecReporter(baseReporter, config).formatters
+
+            formatters.should.have.length(2)
+            formatters[0].should.be.instanceOf(ConsoleFormatter)
+            formatters[1].should.be.instanceOf(JsonFormatter)
+            formatters[1].config.should.be.equal(config)
+            formatters[1].baseReporter.should.be.equal(baseReporter)
+        })
+
+        it('should expose the formatters on the reporter', () => {
+            SpecReporter.Formatter.should.be.equal(Formatter)
+            SpecReporter.ConsoleFormatter.should.be.equal(ConsoleFormatter)
+        })
+
+        it('should reject unknown formatters', () => {
+            (() => new SpecReporter(baseReporter, { formatters: ['html'] })).should.throw(/Unknown formatter "html"/)
         })
     })
 
-    describe('getSymbol', () => {
-        it('should return the right symbol', () => {
-            reporter.getSymbol('pass').should.be.equal('✓')
-            reporter.getSymbol('pending').should.be.equal('-')
+    describe('retry history', () => {
+        it('should report testcases which passed only after retries as flaky', () => {
+            const retryReporter = new SpecReporter(baseReporter, {})
+
+            retryReporter.emit('runner:start', { cid: '0-0', specs: [] })
+            retryReporter.emit('test:setCurrentId', { cid: '0-0', id: 'login' })
+            retryReporter.emit('retry:validateFailure', { cid: '0-0', assertion: { message: 'expected 1 to be 2' } })
+            retryReporter.emit('retry:failed', { cid: '0-0' })
+            retryReporter.emit('retry:broken', { cid: '0-0', assertion: { message: 'element not found', stack: 'at x' } })
+            retryReporter.emit('test:pass', { cid: '0-0' })
+            retryReporter.emit('test:setCurrentId', { cid: '0-0', id: 'logout' })
+            retryReporter.emit('test:pass', { cid: '0-0' })
+
+            retryReporter.getFlakyTestcases().should.eql([{
+                id: 'login',
+                cid: '0-0',
+                attempts: [
+                    { outcome: 'fail', errors: [{ message: 'expected 1 to be 2', stack: undefined }] },
+                    { outcome: 'broken', errors: [{ message: 'element not found', stack: 'at x' }] },
+                    { outcome: 'pass', errors: [] }
+                ]
+            }])
+        })
+
+        it('should print the attempt outcomes in the configured locale', () => {
+            const log = sinon.spy()
+            const retryReporter = new SpecReporter(Object.assign({}, baseReporter, { log, stats: { runners: {} } }), { locale: 'de', colors: false })
+
+            retryReporter.emit('runner:start', { cid: '0-0', specs: [] })
+            retryReporter.emit('test:setCurrentId', { cid: '0-0', id: 'login' })
+            retryReporter.emit('retry:failed', { cid: '0-0' })
+            retryReporter.emit('test:pass', { cid: '0-0' })
+            retryReporter.formatters[0].printFlakyTestcases(retryReporter.getFlakyTestcases())
+
+            log.firstCall.args[0].should.containEql('Versuch 1: fehlgeschlagen')
+            log.firstCall.args[0].should.not.containEql(': fail')
+        })
+    })
+
+    describe('secret masking', () => {
+        let maskReporter
+
+        beforeEach(() => {
+            maskReporter = new SpecReporter(Object.assign({}, baseReporter, { log: sinon.spy(), stats: { runners: {} } }), { maskSecrets: true, colors: false })
+            maskReporter.emit('runner:start', { cid: '0-0', specs: [] })
+            maskReporter.emit('test:setCurrentId', { cid: '0-0', id: 'login' })
+            maskReporter.emit('step:start', { cid: '0-0', title: 'type', description: 'type', arg: '{"password":"hunter22"}' })
+        })
+
+        it('should mask the errors of flaky testcases', () => {
+            maskReporter.emit('retry:validateFailure', { cid: '0-0', assertion: { message: 'typed hunter22 into field' } })
+            maskReporter.emit('retry:failed', { cid: '0-0' })
+            maskReporter.emit('test:pass', { cid: '0-0' })
+            maskReporter.formatters[0].printFlakyTestcases(maskReporter.getFlakyTestcases())
 
-            reporter.errorCount = 23
-            reporter.getSymbol('fail').should.be.equal('24)')
+            maskReporter.getFlakyTestcases()[0].attempts[0].errors[0].message.should.be.equal('typed ****** into field')
+            maskReporter.baseReporter.log.firstCall.args[0].should.containEql('typed ****** into field')
+            maskReporter.baseReporter.log.firstCall.args[0].should.not.containEql('hunter22')
+        })
+
+        it('should mask the errors of failure results', () => {
+            const failure = { title: 'logs in', printTitle: 'login logs in', runner: { '0-0': {} }, err: { message: 'typed hunter22', stack: 'at hunter22' } }
+
+            maskReporter.getFailureResult(failure).errors.should.eql([{
+                message: 'typed ******',
+                stack: 'at ******',
+                matcherName: undefined,
+                expected: undefined,
+                actual: undefined
+            }])
         })
     })
 
-    describe('getColor', () => {
-        it('should return the right symbol', () => {
-            reporter.getColor('pass').should.be.equal('green')
-            reporter.getColor('passing').should.be.equal('green')
-            reporter.getColor('pending').should.be.equal('pending')
-            reporter.getColor('fail').should.be.equal('fail')
-            reporter.getColor('fail').should.be.equal('fail')
-            reporter.getColor('failing').should.be.equal('fail');
-            (reporter.getColor('foobar') === null).should.be.true()
+    describe('instant output of parallel runners', () => {
+        const createReporter = (instantOutputMode) => {
+            const log = sinon.spy()
+            const instantReporter = new SpecReporter(Object.assign({}, baseReporter, { log, stats: STATS_WITH_MULTIPLE_RUNNERS }), {
+                reportResultsInstantly: true,
+                instantOutputMode,
+                colors: true
+            })
+
+            instantReporter.emit('runner:start', { cid: '22', specs: [] })
+            instantReporter.emit('runner:start', { cid: '23', specs: [] })
+            instantReporter.emit('suite:start', { cid: '22', uid: 'a1', title: 'a' })
+            instantReporter.emit('suite:start', { cid: '23', uid: 'b1', title: 'b' })
+            instantReporter.emit('test:pass', { cid: '22', title: 'first' })
+            instantReporter.emit('test:pass', { cid: '23', title: 'second' })
+
+            return { instantReporter, log }
+        }
+
+        it('should track the current suite per runner', () => {
+            const { log } = createReporter()
+
+            log.getCall(2).args[0].should.be.equal('[TESTCASE]    \u001b[32m✓\u001b[0m first')
+            log.getCall(3).args[0].should.be.equal('[TESTCASE]    \u001b[32m✓\u001b[0m second')
+        })
+
+        it('should prefix each line with the runner', () => {
+            const { log } = createReporter('prefix')
+
+            log.getCall(0).args[0].should.be.equal('[22 phantomjs] [TESTCASE] \n[22 phantomjs] [TESTCASE] a')
+            log.getCall(3).args[0].should.be.equal('[23 phantomjs] [TESTCASE]    \u001b[32m✓\u001b[0m second')
+        })
+
+        it('should buffer the output of each runner until its suite ended', () => {
+            const { instantReporter, log } = createReporter('buffer')
+
+            log.callCount.should.be.equal(0)
+            instantReporter.emit('suite:end', { cid: '23' })
+            log.callCount.should.be.equal(1)
+            log.getCall(0).args[0].should.be.equal('[TESTCASE] \n[TESTCASE] b\n[TESTCASE]    \u001b[32m✓\u001b[0m second')
+        })
+
+        it('should prefix errors and steps with the runner', () => {
+            const log = sinon.spy()
+            const instantReporter = new SpecReporter(Object.assign({}, baseReporter, { log, stats: STATS_WITH_MULTIPLE_RUNNERS }), {
+                reportErrorsInstantly: true,
+                consoleLogLevel: 'steps',
+                instantOutputMode: 'prefix',
+                colors: false
+            })
+
+            instantReporter.emit('runner:start', { cid: '22', specs: [] })
+            instantReporter.emit('test:setCurrentId', { cid: '22', id: 'login' })
+            instantReporter.emit('step:start', { cid: '22', title: 'open', description: 'open page', arg: '{}' })
+            instantReporter.emit('validate:failure', { cid: '22', assertion: { message: 'expected 1 to be 2' } })
+
+            log.args.map((args) => args[0]).should.eql([
+                '[22 phantomjs] \n[22 phantomjs] TESTCASE: "login"...',
+                '[22 phantomjs]   STEP: "open page"',
+                '[22 phantomjs] \n[22 phantomjs] expected 1 to be 2\n[22 phantomjs] \n[22 phantomjs] '
+            ])
+        })
+
+        it('should reject unknown modes', () => {
+            (() => new SpecReporter(baseReporter, { instantOutputMode: 'prefixed' })).should.throw(/instantOutputMode must be one of prefix, buffer/)
         })
     })
 
@@ -239,138 +861,138 @@ describe('spec reporter', () => {
         })
     })
 
-    describe('getResultList', () => {
-        it('return a correct result list', () => {
-            reporter.errorCount = 27
-            reporter.suiteIndents[0] = {
-                'some foobar test': 0,
-                'some other foobar test': 1,
-                'some spec title': 0
+    describe('grouped failures at the end of the run', () => {
+        it('should group the failures of all runners of a phase', () => {
+            const err = { message: 'element not found' }
+            const suites = {
+                login1: { title: 'login', tests: { a: { title: 'fails', state: 'fail' }, b: { title: 'fails too', state: 'fail' } } }
             }
-            reporter.getResultList(0, SUITE, 'kuckkuck> ').should.be.equal(RESULTLIST)
+            const failures = [
+                { title: 'fails', printTitle: 'login fails', runner: { '0-0': {} }, err },
+                { title: 'fails too', printTitle: 'login fails too', runner: { '0-0': {} }, err }
+            ]
+            const log = sinon.spy()
+            const groupReporter = new SpecReporter(Object.assign({}, baseReporter, {
+                log,
+                stats: createStats(suites, failures),
+                writeCompleteOutput: sinon.spy()
+            }), { groupFailures: true, colors: false })
+
+            groupReporter.emit('runner:start', { cid: '0-0', specs: ['login.tc.js'] })
+            groupReporter.emit('test:fail', { cid: '0-0', parent: 'login', title: 'fails', err })
+            groupReporter.emit('test:fail', { cid: '0-0', parent: 'login', title: 'fails too', err })
+            groupReporter.emit('runner:end', { cid: '0-0', specs: ['login.tc.js'] })
+            groupReporter.emit('startSpecs', { cid: '0-0' })
+            groupReporter.emit('end')
+
+            const output = log.args.map((args) => args[0]).join('\n')
+
+            output.should.containEql('[TESTCASE]    ✖ fails\n')
+            output.should.containEql(
+                'Grouped Testcase Failures:\n\n' +
+                '1) 2 tests failed with:\n\n' +
+                'element not found\n\n' +
+                '  - login fails [0-0 chrome]\n' +
+                '  - login fails too [0-0 chrome]\n'
+            )
+            output.should.containEql('Unique Failures: 1 in testcases, 0 in specs')
         })
     })
 
-    describe('getSummary', () => {
-        it('should return correct summary', () => {
-            reporter.getSummary({
-                passing: 3,
-                pending: 1,
-                failing: 2
-            }, 139000, 'kuckkuck> ').should.be.equal(SUMMARY)
-        })
+    describe('job links', () => {
+        const jobReporter = (host, config = {}) => {
+            const stats = createStats({})
 
-        it('should skip if the count is zero', () => {
-            reporter.getSummary({
-                passing: 0
-            }, 139000, 'kuckkuck> ').should.be.equal('')
-        })
-    })
-
-    describe('getFailureList', () => {
-        it('should return correct failure list', () => {
-            reporter.getFailureList(ERRORS, 'kuckkuck> ').should.be.equal(ERRORLIST)
-        })
-
-        it('should handle error messages without a stack trace correctly', () => {
-            reporter.getFailureList(ERRORS_NO_STACK, 'kuckkuck> ').should.be.equal(ERRORLIST_NO_STACK)
-        })
-    })
-
-    describe('getJobLink', () => {
-        it('should return nothing if host is not specified', () => {
-            reporter.getJobLink({ config: {} }).should.be.equal('')
-        })
+            stats.runners['0-0'].config = { host }
+            return new SpecReporter(Object.assign({}, baseReporter, { stats }), config)
+        }
 
         it('should return nothing if host is not known', () => {
-            reporter.getJobLink({ config: { host: 'localhost' } }).should.be.equal('')
-        })
-
-        it('should display job link if host is saucelabs', () => {
-            reporter.getJobLink({
-                config: { host: 'ondemand.saucelabs.com' },
-                sessionID: '12345-12345-12345'
-            }, 'kuckkuck> ').should.be.equal(JOBLINKRESULT)
-        })
-    })
-
-    describe('printSuiteResult', () => {
-        let origConsoleLog
-
-        before(() => {
-            origConsoleLog = console.log
+            (typeof jobReporter('localhost').getRunnerResult({ cid: '0-0' }).jobUrl).should.be.equal('undefined')
         })
 
-        beforeEach(() => {
-            console.log = sinon.spy()
+        it('should link jobs of known hosts', () => {
+            jobReporter('ondemand.saucelabs.com').getRunnerResult({ cid: '0-0' }).jobUrl.should.be.equal('https://saucelabs.com/tests/abc')
         })
 
-        afterEach(() => {
-            console.log = origConsoleLog
-        })
-
-        it('should print correct suite result', () => {
-            reporter.specs = { '22': '/path/to/spec.js' }
-            reporter.baseReporter.stats = STATS
-            reporter.getResultList = () => ''
-            reporter.getSummary = () => ''
-            reporter.getFailureList = () => ''
-            reporter.getJobLink = () => ''
-
-            reporter.printSuiteResult({ cid: 22 })
-            const wasCalledCorrectly = console.log.calledWith(SUITERESULT)
-
-            wasCalledCorrectly.should.be.ok()
-        })
-
-        it('should not print anything if no spec got executed', () => {
-            reporter.specs = { '22': '/path/to/spec.js' }
-            reporter.baseReporter.stats = STATS_WITH_NO_SPECS
-            reporter.getResultList = () => ''
-            reporter.getSummary = () => ''
-            reporter.getFailureList = () => ''
-            reporter.getJobLink = () => ''
-
-            reporter.printSuiteResult({ cid: 22 })
-            const wasCalledCorrectly = console.log.calledWith('')
-
-            wasCalledCorrectly.should.be.ok()
+        it('should prefer a configured job link template', () => {
+            jobReporter('grid.local', { jobLinkTemplate: 'https://grid.local/session/{sessionID}' }).getRunnerResult({ cid: '0-0' }).jobUrl
+                .should.be.equal('https://grid.local/session/abc')
         })
     })
 
-    describe('printSuitesSummary', () => {
-        let origConsoleLog
-
-        before(() => {
-            origConsoleLog = console.log
-        })
-
-        beforeEach(() => {
-            console.log = sinon.spy()
-        })
+    describe('getPhaseResult', () => {
+        it('should sum up the counts of all runners of a phase', () => {
+            const jsonReporter = new SpecReporter(baseReporter, {})
+            jsonReporter.runnerResults.testcases = [
+                { cid: '0-0', counts: { passing: 2, pending: 0, failing: 1, broken: 0, unvalidated: 0, hooks: 0 } },
+                { cid: '0-1', counts: { passing: 1, pending: 1, failing: 0, broken: 1, unvalidated: 0, hooks: 0 } }
+            ]
 
-        afterEach(() => {
-            console.log = origConsoleLog
+            const result = jsonReporter.getPhaseResult('testcases')
+            result.counts.should.eql({ passing: 3, pending: 1, failing: 1, broken: 1, unvalidated: 0, hooks: 0 })
+            result.runners.should.have.length(2)
+            jsonReporter.getPhaseResult('specs').runners.should.be.empty()
         })
+    })
 
-        it('should print summary of how many specs where run', () => {
-            reporter.baseReporter.stats = STATS_WITH_MULTIPLE_RUNNERS
-            reporter.baseReporter.epilogue = () => console.log('foobar')
-
-            reporter.printSuitesSummary()
-            const wasCalledCorrectly = console.log.calledWith(SUITES_SUMMARY)
+    describe('jsonResultsFile', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'results-'))
+        const file = path.join(dir, 'results.json')
 
-            wasCalledCorrectly.should.be.ok()
+        after(() => {
+            fs.unlinkSync(file)
+            fs.rmdirSync(dir)
         })
 
-        it('should not print summary if only one spec was run', () => {
-            reporter.baseReporter.stats = STATS
-            reporter.baseReporter.epilogue = () => console.log('foobar')
-
-            reporter.printSuitesSummary()
-            const callCount = console.log.callCount
+        it('should write the results of all runners at the end of the run', () => {
+            const err = { message: 'expected 1 to be 2', stack: 'at login.tc.js:1:1' }
+            const stats = createStats({
+                login1: { title: 'login', tests: { a: { title: 'passes', state: 'pass', _duration: 20 }, b: { title: 'fails', state: 'fail', _duration: 30 } } }
+            }, [{ title: 'fails', printTitle: 'login fails', runner: { '0-0': {} }, err }])
+            const jsonReporter = new SpecReporter(Object.assign({}, baseReporter, { stats, writeCompleteOutput: sinon.spy() }), {
+                jsonResultsFile: file,
+                formatters: []
+            })
 
-            callCount.should.be.equal(0)
+            jsonReporter.emit('runner:start', { cid: '0-0', specs: ['login.tc.js'], capabilities: { browserName: 'chrome' } })
+            jsonReporter.emit('test:pass', { cid: '0-0', title: 'passes' })
+            jsonReporter.emit('test:fail', { cid: '0-0', title: 'fails', err })
+            jsonReporter.emit('runner:end', { cid: '0-0', specs: ['login.tc.js'] })
+            jsonReporter.emit('startSpecs', { cid: '0-0' })
+            jsonReporter.emit('end')
+
+            const results = JSON.parse(fs.readFileSync(file, 'utf8'))
+
+            results.should.have.properties(['start', 'end', 'flakyTestcases'])
+            results.specs.should.eql({ counts: { passing: 0, pending: 0, failing: 0, broken: 0, unvalidated: 0, hooks: 0 }, runners: [] })
+            results.testcases.counts.should.eql({ passing: 1, pending: 0, failing: 1, broken: 0, unvalidated: 0, hooks: 0 })
+            results.testcases.runners.should.eql([{
+                cid: '0-0',
+                sessionID: 'abc',
+                capabilities: { browserName: 'chrome' },
+                browser: 'chrome',
+                specs: ['login.tc.js'],
+                duration: 1000,
+                counts: { passing: 1, pending: 0, failing: 1, broken: 0, unvalidated: 0, hooks: 0 },
+                suites: [{
+                    uid: 'login1',
+                    title: 'login',
+                    depth: 0,
+                    tests: [
+                        { uid: 'a', title: 'passes', state: 'pass', duration: 20 },
+                        { uid: 'b', title: 'fails', state: 'fail', duration: 30 }
+                    ]
+                }],
+                failedHooks: [],
+                failures: [{
+                    title: 'login fails',
+                    state: 'fail',
+                    cids: ['0-0'],
+                    artifacts: [],
+                    errors: [{ message: 'expected 1 to be 2', stack: 'at login.tc.js:1:1' }]
+                }]
+            }])
         })
     })
 })
@@ -0,0 +1,54 @@
+import { compareSnapshots, createSnapshot, getBrowserIdentity } from '../lib/snapshot'
+
+describe('results snapshot', () => {
+    const runner = (capabilities, tests) => ({ capabilities, suites: [{ title: 'login', tests }] })
+
+    it('should record the state of each test per browser', () => {
+        createSnapshot({
+            testcases: [
+                runner({ browserName: 'chrome' }, [{ title: 'passes', state: 'pass' }]),
+                runner({ browserName: 'firefox' }, [{ title: 'passes', state: 'fail' }])
+            ],
+            specs: []
+        }, new Date(0)).should.eql({
+            start: '1970-01-01T00:00:00.000Z',
+            testcases: { 'login › passes (chrome)': 'pass', 'login › passes (firefox)': 'fail' },
+            specs: {}
+        })
+    })
+
+    it('should identify browsers without their versions', () => {
+        getBrowserIdentity({ browserName: 'chrome', version: '68', platform: 'Windows 10' }).should.be.equal('chrome Windows 10')
+        getBrowserIdentity({ browserName: 'firefox', browser_version: '61', os: 'OS X', os_version: 'High Sierra' }).should.be.equal('firefox OS X')
+        getBrowserIdentity({ deviceName: 'iPhone X', platformName: 'iOS', platformVersion: '11.4' }).should.be.equal('iPhone X iOS')
+    })
+
+    it('should keep the keys of tests when the browser version changes', () => {
+        const tests = [{ title: 'passes', state: 'pass' }]
+        const previous = createSnapshot({ testcases: [runner({ browserName: 'chrome', version: '67' }, tests)], specs: [] }, new Date(0))
+        const current = createSnapshot({ testcases: [runner({ browserName: 'chrome', version: '68' }, tests)], specs: [] }, new Date(0))
+
+        Object.keys(current.testcases).should.eql(Object.keys(previous.testcases))
+    })
+
+    it('should list changed, added and removed tests', () => {
+        const changes = compareSnapshots({
+            testcases: { a: 'pass', b: 'fail', c: 'pass', d: 'pass', e: 'fail' },
+            specs: { '1.1': 'pass', '1.2': 'unvalidated' }
+        }, {
+            testcases: { a: 'fail', b: 'pass', c: 'broken', e: 'fail', f: 'pass' },
+            specs: { '1.1': 'unvalidated', '1.2': 'pass' }
+        })
+
+        changes.testcases.should.eql({
+            newlyFailing: ['a'],
+            newlyBroken: ['c'],
+            fixed: ['b'],
+            newlyUnvalidated: [],
+            added: ['f'],
+            removed: ['d']
+        })
+        changes.specs.newlyUnvalidated.should.eql(['1.1'])
+        changes.specs.fixed.should.eql(['1.2'])
+    })
+})
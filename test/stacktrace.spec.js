@@ -0,0 +1,42 @@
+import { filterStack } from '../lib/stacktrace'
+
+const STACK = [
+    'Error: expected true to be false',
+    '    at Context.<anonymous> (/project/src/pages/login.ts:12:5)',
+    '    at callFn (/project/node_modules/mocha/lib/runnable.js:348:21)',
+    'From previous event:',
+    '    at LoginPage.submit (/project/src/pages/login.ts:30:9)',
+    '    at /project/node_modules/wdio-sync/build/index.js:657:22',
+    '    at Steps.login (/project/src/steps/login.ts:8:3)'
+].join('\n')
+
+describe('stack trace filter', () => {
+    it('should drop the message and filtered frames but keep context lines', () => {
+        filterStack(STACK).should.be.equal([
+            '    at Context.<anonymous> (/project/src/pages/login.ts:12:5)',
+            'From previous event:',
+            '    at LoginPage.submit (/project/src/pages/login.ts:30:9)',
+            '    at Steps.login (/project/src/steps/login.ts:8:3)'
+        ].join('\n'))
+    })
+
+    it('should apply user defined include and exclude patterns', () => {
+        filterStack(STACK, { include: ['mocha'], exclude: [/steps/, 'previous event'] }).should.be.equal([
+            '    at Context.<anonymous> (/project/src/pages/login.ts:12:5)',
+            '    at callFn (/project/node_modules/mocha/lib/runnable.js:348:21)',
+            '    at LoginPage.submit (/project/src/pages/login.ts:30:9)'
+        ].join('\n'))
+    })
+
+    it('should limit the number of frames', () => {
+        filterStack(STACK, { maxFrames: 1 }).should.be.equal([
+            '    at Context.<anonymous> (/project/src/pages/login.ts:12:5)',
+            '    ... 2 more'
+        ].join('\n'))
+    })
+
+    it('should use the given label for skipped frames', () => {
+        filterStack(STACK, { maxFrames: 1, labels: { moreFrames: '... {count} weitere' } }).split('\n')[1]
+            .should.be.equal('    ... 2 weitere')
+    })
+})
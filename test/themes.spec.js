@@ -0,0 +1,41 @@
+import { resolveTheme, shouldUseColors, stripColors } from '../lib/themes'
+
+describe('themes', () => {
+    describe('resolveTheme', () => {
+        it('should merge overrides with the preset', () => {
+            const theme = resolveTheme({ preset: 'colorblind', colors: { pass: 'green' } })
+
+            theme.colors.pass.should.be.equal('green')
+            theme.colors.broken.should.be.equal(35)
+            theme.symbols.broken.should.be.equal('! {n})')
+        })
+
+        it('should accept the name of a preset', () => {
+            resolveTheme('colorblind').colors.fail.should.be.equal(33)
+            resolveTheme().should.eql({ colors: {}, symbols: {} })
+        })
+
+        it('should reject unknown presets', () => {
+            (() => resolveTheme('neon')).should.throw(/Unknown theme preset "neon"/)
+        })
+    })
+
+    describe('shouldUseColors', () => {
+        it('should prefer the explicit setting', () => {
+            shouldUseColors(true, {}, { NO_COLOR: '1' }).should.be.true()
+            shouldUseColors(false, { isTTY: true }, {}).should.be.false()
+        })
+
+        it('should only use colors on terminals without NO_COLOR', () => {
+            shouldUseColors(undefined, { isTTY: true }, {}).should.be.true()
+            shouldUseColors(undefined, { isTTY: true }, { NO_COLOR: '1' }).should.be.false()
+            shouldUseColors(undefined, {}, {}).should.be.false()
+        })
+    })
+
+    describe('stripColors', () => {
+        it('should remove ansi codes', () => {
+            stripColors('\u001b[31mfail\u001b[0m').should.be.equal('fail')
+        })
+    })
+})
@@ -0,0 +1,31 @@
+import TraceabilityMatrix, { parseValidation } from '../lib/traceability'
+
+describe('traceability matrix', () => {
+    describe('parseValidation', () => {
+        it('should read the criteria of validation steps', () => {
+            parseValidation('validate: {"Login":[1,2],"Logout":3}').should.eql({ Login: ['1', '2'], Logout: ['3'] })
+        })
+
+        it('should ignore other steps', () => {
+            (parseValidation('open page') === undefined).should.be.true()
+            ;(parseValidation('validate: {broken') === undefined).should.be.true()
+        })
+    })
+
+    it('should relate criteria to testcases and keep the worst result', () => {
+        const matrix = new TraceabilityMatrix()
+
+        matrix.addValidation({ Login: ['2', '10'] }, 'loginTestcase')
+        matrix.addValidation({ Login: ['2'] }, 'otherTestcase')
+        matrix.addResult('Login|2', 'pass', 'shows the user name')
+        matrix.addResult('Login|2', 'fail')
+        matrix.addResult('Login|1', 'unvalidated')
+        matrix.addResult('Login|2', 'pass')
+
+        matrix.getRows().should.eql([
+            { spec: 'Login', criteria: '1', description: undefined, testcases: [], state: 'unvalidated' },
+            { spec: 'Login', criteria: '2', description: 'shows the user name', testcases: ['loginTestcase', 'otherTestcase'], state: 'fail' },
+            { spec: 'Login', criteria: '10', description: undefined, testcases: ['loginTestcase'], state: undefined }
+        ])
+    })
+})